@@ -6,6 +6,7 @@ const fs = require('fs');
 const chalk = require('chalk');
 const glob = require('glob');
 const AdvancedCodeAnalyzer = require('../lib/AdvancedCodeAnalyzer');
+const Diff = require('../lib/Diff');
 
 const VERSION = '3.0.0-ultimate';
 
@@ -25,15 +26,24 @@ class ConfigManager {
       analysis: {
         react: true,
         vue: true,
+        svelte: true,
         angular: false,
         bundleImpact: true,
         memoryLeaks: true,
         performance: true,
-        accessibility: false
+        accessibility: false,
+        unused: false
       },
+      entries: [],
+      rules: {},
+      plugins: [],
+      libraries: {},
+      libraryLists: [],
+      reportUnusedDirectives: false,
       outputFormat: 'console',
       logLevel: 'info',
-      autofix: false
+      autofix: false,
+      fixDryRun: false
     };
     this.config = this.loadConfig();
   }
@@ -55,7 +65,12 @@ class ConfigManager {
           } else {
             config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
           }
-          return { ...this.defaultConfig, ...config };
+          // `analysis` switches are merged so one switch keeps the defaults of the rest
+          return {
+            ...this.defaultConfig,
+            ...config,
+            analysis: { ...this.defaultConfig.analysis, ...config.analysis }
+          };
         } catch (error) {
           console.warn(chalk.yellow(`⚠️  Invalid config file: ${configPath}`));
         }
@@ -72,9 +87,38 @@ class UltimatePerformanceAnalyzer {
     this.config = config;
     this.results = [];
     this.startTime = Date.now();
-    this.advancedAnalyzer = new AdvancedCodeAnalyzer();
+    this.advancedAnalyzer = new AdvancedCodeAnalyzer({
+      rules: config.rules,
+      plugins: config.plugins,
+      libraries: config.libraries,
+      libraryLists: config.libraryLists,
+      angular: config.analysis.angular,
+      rootDir: process.cwd()
+    });
     this.totalScore = 0;
     this.issueCount = { high: 0, medium: 0, low: 0 };
+    this.clones = [];
+    this.cycles = [];
+    this.unused = null;
+    this.fixes = { files: 0, fixed: 0 };
+    this.reportConfigProblems();
+  }
+
+  reportConfigProblems() {
+    const { rules } = this.advancedAnalyzer;
+    const problems = [
+      ...this.advancedAnalyzer.configProblems,
+      ...rules.unknownRules().map(id => `Unknown rule "${id}" in rules config`)
+    ];
+
+    problems.forEach(problem => {
+      console.warn(chalk.yellow(`⚠️  ${problem}`));
+    });
+  }
+
+  // Resolved `{ severity, options }` for a rule, or null when turned off
+  ruleConfig(id) {
+    return this.advancedAnalyzer.rules.getConfig(id);
   }
 
   shouldExclude(filePath) {
@@ -106,13 +150,22 @@ class UltimatePerformanceAnalyzer {
 
     let content = '';
     let advancedAnalysis = null;
+    let fix = null;
 
     if (['.js', '.ts', '.jsx', '.tsx', '.vue', '.svelte'].includes(ext)) {
       try {
         content = fs.readFileSync(filePath, 'utf8');
-        
-        // Advanced AST analysis
-        if (this.config.analysis.performance) {
+
+        // Rule fixes: written with --autofix, only diffed with --fix-dry-run
+        if (this.config.autofix || this.config.fixDryRun) {
+          fix = this.fixFile(filePath, content);
+          if (fix && !fix.dryRun) content = fix.output;
+        }
+
+        // Advanced AST analysis; component files only with their framework's
+        // analysis enabled
+        const framework = { '.vue': 'vue', '.svelte': 'svelte' }[ext];
+        if (this.config.analysis.performance && (!framework || this.config.analysis[framework])) {
           advancedAnalysis = this.advancedAnalyzer.analyzeCode(content, filePath);
         }
       } catch (error) {
@@ -124,13 +177,16 @@ class UltimatePerformanceAnalyzer {
     const analysis = {
       file: path.relative(process.cwd(), filePath),
       fullPath: filePath,
-      size: size,
-      sizeFormatted: this.formatSize(size),
+      size: fix && !fix.dryRun ? Buffer.byteLength(content) : size,
+      sizeFormatted: this.formatSize(fix && !fix.dryRun ? Buffer.byteLength(content) : size),
       type: ext.slice(1).toUpperCase() || 'FILE',
       timestamp: new Date().toISOString(),
       advanced: advancedAnalysis,
-      traditionalAnalysis: this.getTraditionalAnalysis(content, filePath)
+      traditionalAnalysis: this.getTraditionalAnalysis(content, filePath, advancedAnalysis)
     };
+    if (fix) {
+      analysis.fix = { dryRun: fix.dryRun, fixed: fix.fixed, diff: fix.diff };
+    }
 
     // Generate comprehensive suggestions
     analysis.suggestions = this.generateComprehensiveSuggestions(analysis);
@@ -142,51 +198,245 @@ class UltimatePerformanceAnalyzer {
     return analysis;
   }
 
-  getTraditionalAnalysis(content, filePath) {
+  // Applies every available rule fix to a file; the fixed source is written
+  // back unless this is a dry run. Null when nothing could be fixed.
+  fixFile(filePath, content) {
+    const { output, fixed } = this.advancedAnalyzer.fixCode(content, filePath);
+    if (fixed.length === 0) return null;
+
+    const dryRun = Boolean(this.config.fixDryRun);
+    if (!dryRun) fs.writeFileSync(filePath, output);
+    this.fixes.files++;
+    this.fixes.fixed += fixed.length;
+
+    const diff = new Diff().unified(content, output, path.relative(process.cwd(), filePath));
+    return { output, fixed, diff, dryRun };
+  }
+
+  getTraditionalAnalysis(content, filePath, advancedAnalysis) {
     if (!content) return null;
 
+    // AST metrics for the file and each function; null when it can't be parsed
+    const metrics = advancedAnalysis && !advancedAnalysis.error
+      ? advancedAnalysis.metrics
+      : null;
+
     return {
       lines: content.split('\n').length,
       chars: content.length,
       functions: (content.match(/function\s+\w+|const\s+\w+\s*=\s*\(|=>\s*\{/g) || []).length,
       loops: (content.match(/for\s*\(|while\s*\(|forEach\(|map\(|filter\(/g) || []).length,
       imports: (content.match(/import\s+.*from|require\s*\(/g) || []).length,
-      complexity: this.calculateBasicComplexity(content),
+      complexity: metrics ? metrics.cyclomatic : null,
+      halstead: metrics ? metrics.halstead : null,
+      maintainabilityIndex: metrics ? metrics.maintainabilityIndex : null,
+      functionMetrics: metrics ? metrics.functions : [],
       todos: (content.match(/TODO|FIXME|XXX/gi) || []).length,
-      duplicatedCode: this.detectDuplicatedCode(content)
+      // Copies of code found elsewhere, filled in by detectClones
+      duplicatedCode: 0
     };
   }
 
-  calculateBasicComplexity(content) {
-    const complexityKeywords = [
-      /if\s*\(/g, /else/g, /for\s*\(/g, /while\s*\(/g, 
-      /switch\s*\(/g, /case\s+/g, /catch\s*\(/g, /\?\s*:/g
-    ];
-    
-    return complexityKeywords.reduce((total, regex) => {
-      return total + (content.match(regex) || []).length;
-    }, 1);
-  }
-
-  detectDuplicatedCode(content) {
-    const lines = content.split('\n').filter(line => line.trim().length > 10);
-    const duplicates = [];
-    const seen = new Map();
-
-    lines.forEach((line, index) => {
-      const normalized = line.trim().replace(/\s+/g, ' ');
-      if (seen.has(normalized)) {
-        duplicates.push({
-          line: index + 1,
-          content: normalized,
-          firstOccurrence: seen.get(normalized)
-        });
-      } else {
-        seen.set(normalized, index + 1);
+  // Checks that need every file: runs once all files have been analyzed
+  analyzeProject(results) {
+    this.detectClones(results);
+    this.detectCircularDependencies(results);
+    if (this.config.analysis.unused) this.detectUnusedCode(results);
+  }
+
+  // Entry points as absolute paths: the `entries` config (paths or globs),
+  // else `main`, `module`, `bin` and `exports` from package.json
+  resolveEntries() {
+    const root = process.cwd();
+    let specifiers = this.config.entries || [];
+
+    if (specifiers.length === 0) {
+      const packagePath = path.join(root, 'package.json');
+      if (!fs.existsSync(packagePath)) return [];
+      try {
+        const pkg = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+        const collect = value => {
+          if (typeof value === 'string') return [value];
+          if (value && typeof value === 'object') return Object.values(value).flatMap(collect);
+          return [];
+        };
+        specifiers = [pkg.main, pkg.module, pkg.bin, pkg.exports]
+          .flatMap(collect)
+          .filter(specifier => !specifier.includes('*'));
+      } catch (error) {
+        this.log('debug', `Invalid package.json: ${error.message}`);
+        return [];
       }
+    }
+
+    const { dependencyGraph } = this.advancedAnalyzer;
+    return specifiers.flatMap(specifier => {
+      if (glob.hasMagic(specifier)) {
+        return glob.sync(specifier, { cwd: root, absolute: true, nodir: true }).map(file => path.resolve(file));
+      }
+      const relative = path.isAbsolute(specifier) || specifier.startsWith('.') ? specifier : `./${specifier}`;
+      return [dependencyGraph.resolve(path.join(root, 'package.json'), relative)].filter(Boolean);
+    });
+  }
+
+  // Files no entry point reaches and exports nothing imports (--unused)
+  detectUnusedCode(results) {
+    const unusedFile = this.ruleConfig('unused-file');
+    const unusedExport = this.ruleConfig('unused-export');
+    if (!unusedFile && !unusedExport) return null;
+
+    const entries = this.resolveEntries();
+    if (entries.length === 0) {
+      console.warn(chalk.yellow('⚠️  No entry points found - set "entries" in .perf-wizardrc to detect unused code'));
+      return null;
+    }
+
+    const byPath = new Map(results.map(result => [path.resolve(result.fullPath), result]));
+    const relative = file => path.relative(process.cwd(), file);
+    const { unusedFiles, unusedExports } = this.advancedAnalyzer.findUnusedCode(entries);
+
+    this.unused = {
+      entries: entries.map(relative),
+      files: unusedFile ? unusedFiles.map(relative) : [],
+      exports: unusedExport
+        ? unusedExports.map(({ file, name, line }) => ({ file: relative(file), name, line }))
+        : []
+    };
+
+    if (unusedFile) {
+      unusedFiles.forEach(file => {
+        const analysis = byPath.get(file);
+        if (!analysis) return;
+        this.addProjectSuggestion(analysis, {
+          type: 'warning',
+          category: 'dead-code',
+          rule: 'unused-file',
+          severity: unusedFile.severity,
+          message: 'File is not reachable from any entry point',
+          impact: 'Bundle size, maintenance',
+          suggestion: 'Delete the file, or add it to "entries" if it is loaded another way',
+          autofix: false
+        });
+      });
+    }
+
+    if (unusedExport) {
+      unusedExports.forEach(({ file, name, line }) => {
+        const analysis = byPath.get(file);
+        if (!analysis) return;
+        this.addProjectSuggestion(analysis, {
+          type: 'info',
+          category: 'dead-code',
+          rule: 'unused-export',
+          severity: unusedExport.severity,
+          message: `Export "${name}" is never imported`,
+          impact: 'Bundle size, maintenance',
+          line,
+          suggestion: 'Remove the export, or the code if nothing in this file uses it',
+          autofix: false
+        });
+      });
+    }
+
+    return this.unused;
+  }
+
+  // Adds a cross-file finding to a file's already generated suggestions
+  addProjectSuggestion(analysis, suggestion) {
+    analysis.suggestions = analysis.suggestions.filter(s => s.type !== 'success');
+    analysis.suggestions.push(suggestion);
+    this.countIssue(suggestion);
+  }
+
+  // Import cycles; each file of a cycle gets a suggestion pointing at the
+  // import that continues the cycle
+  detectCircularDependencies(results) {
+    const circular = this.ruleConfig('circular-dependency');
+    if (!circular) return [];
+
+    const byPath = new Map(results.map(result => [path.resolve(result.fullPath), result]));
+    const relative = file => path.relative(process.cwd(), file);
+
+    this.cycles = this.advancedAnalyzer.findCircularDependencies().map(cycle => {
+      const chain = cycle.files.map(relative).join(' → ');
+      // Cycles broken up by a lazy import() don't hit the TDZ at startup
+      const severity = cycle.dynamic && !circular.configured ? 'medium' : circular.severity;
+
+      cycle.edges.forEach(edge => {
+        const analysis = byPath.get(edge.from);
+        if (!analysis) return;
+
+        this.addProjectSuggestion(analysis, {
+          type: 'warning',
+          category: 'dependencies',
+          rule: 'circular-dependency',
+          severity,
+          message: `Circular dependency: ${chain}`,
+          impact: 'Initialization order (TDZ) bugs, code splitting',
+          line: edge.line,
+          suggestion: 'Move the shared code into a module both sides import, or invert one dependency',
+          autofix: false
+        });
+      });
+
+      return {
+        cycle: cycle.files.map(relative),
+        dynamic: cycle.dynamic,
+        edges: cycle.edges.map(edge => ({ ...edge, from: relative(edge.from), to: relative(edge.to) }))
+      };
+    });
+
+    return this.cycles;
+  }
+
+  // Cross-file clone groups; each copy becomes a duplication suggestion on
+  // its file. Runs once every file has been analyzed.
+  detectClones(results) {
+    const duplication = this.ruleConfig('duplicated-code');
+    if (!duplication) return [];
+
+    // The analyzer saw each file under its full path
+    const byPath = new Map(results.map(result => [result.fullPath, result]));
+    const groups = this.advancedAnalyzer.findClones().map(group => ({
+      ...group,
+      occurrences: group.occurrences.map(occurrence => ({
+        ...occurrence,
+        analysis: byPath.get(occurrence.file),
+        file: path.relative(process.cwd(), occurrence.file)
+      }))
+    }));
+
+    groups.forEach(group => {
+      group.occurrences.forEach((occurrence, index) => {
+        const { analysis } = occurrence;
+        if (!analysis) return;
+
+        const others = group.occurrences
+          .filter((_, otherIndex) => otherIndex !== index)
+          .map(other => `${other.file}:${other.startLine}-${other.endLine}`);
+        const kind = group.type === 'renamed' ? ', identifiers renamed' : '';
+
+        if (analysis.traditionalAnalysis) analysis.traditionalAnalysis.duplicatedCode++;
+        this.addProjectSuggestion(analysis, {
+          type: 'info',
+          category: 'duplication',
+          rule: 'duplicated-code',
+          severity: duplication.severity,
+          message: `Duplicated code (lines ${occurrence.startLine}-${occurrence.endLine}, ${group.tokens} tokens${kind}) also in ${others.join(', ')}`,
+          impact: 'Maintainability, bundle size',
+          line: occurrence.startLine,
+          suggestion: 'Extract the shared code into a function or module',
+          autofix: false
+        });
+      });
     });
 
-    return duplicates.length;
+    // Keep the report to plain file locations
+    groups.forEach(group => {
+      group.occurrences = group.occurrences.map(({ analysis, ...occurrence }) => occurrence);
+    });
+    this.clones = groups;
+    return groups;
   }
 
   generateComprehensiveSuggestions(analysis) {
@@ -196,56 +446,40 @@ class UltimatePerformanceAnalyzer {
     // Traditional analysis suggestions
     if (analysis.traditionalAnalysis) {
       const trad = analysis.traditionalAnalysis;
-      
-      if (analysis.size > thresholds.fileSize) {
+
+      const fileSize = this.ruleConfig('file-size');
+      if (fileSize && analysis.size > (fileSize.options.maxSize ?? thresholds.fileSize)) {
         suggestions.push({
           type: 'warning',
           category: 'size',
-          severity: 'high',
+          rule: 'file-size',
+          severity: fileSize.severity,
           message: `Large file size (${analysis.sizeFormatted}) - consider splitting`,
           impact: 'Bundle size, loading time',
           autofix: false
         });
       }
 
-      if (trad.functions > thresholds.functions) {
+      const functionCount = this.ruleConfig('function-count');
+      if (functionCount && trad.functions > (functionCount.options.max ?? thresholds.functions)) {
         suggestions.push({
           type: 'warning',
           category: 'maintainability',
-          severity: 'medium',
+          rule: 'function-count',
+          severity: functionCount.severity,
           message: `High function count (${trad.functions}) - consider modularization`,
           impact: 'Code maintainability, testing complexity',
           autofix: false
         });
       }
 
-      if (trad.complexity > 15) {
-        suggestions.push({
-          type: 'warning',
-          category: 'complexity',
-          severity: 'high',
-          message: `High cyclomatic complexity (${trad.complexity}) - refactor needed`,
-          impact: 'Code maintainability, bug risk',
-          autofix: false
-        });
-      }
-
-      if (trad.duplicatedCode > 5) {
-        suggestions.push({
-          type: 'info',
-          category: 'duplication',
-          severity: 'medium',
-          message: `Duplicated code detected (${trad.duplicatedCode} instances)`,
-          impact: 'Maintainability, bundle size',
-          autofix: true
-        });
-      }
-
-      if (trad.todos > 0) {
+      const todoComments = this.ruleConfig('todo-comments');
+      if (todoComments && trad.todos > 0) {
         suggestions.push({
           type: 'info',
           category: 'maintenance',
-          severity: 'low',
+          rule: 'todo-comments',
+          severity: todoComments.severity,
           message: `${trad.todos} TODO/FIXME comments found`,
           impact: 'Code completion status',
           autofix: false
@@ -262,13 +496,16 @@ class UltimatePerformanceAnalyzer {
         advanced.performance.bottlenecks.forEach(bottleneck => {
           suggestions.push({
             type: 'warning',
-            category: 'performance',
+            category: bottleneck.category || 'performance',
+            rule: bottleneck.ruleId,
             severity: bottleneck.severity,
             message: bottleneck.message,
-            impact: 'Runtime performance',
+            impact: bottleneck.impact || 'Runtime performance',
             line: bottleneck.line,
             suggestion: bottleneck.suggestion,
-            autofix: false
+            attack: bottleneck.attack,
+            docs: bottleneck.docs,
+            autofix: Boolean(bottleneck.fix)
           });
         });
       }
@@ -278,12 +515,14 @@ class UltimatePerformanceAnalyzer {
         suggestions.push({
           type: 'error',
           category: 'memory',
+          rule: leak.ruleId,
           severity: leak.severity,
           message: leak.message,
           impact: 'Memory usage, potential crashes',
           line: leak.line,
           suggestion: leak.suggestion,
-          autofix: false
+          docs: leak.docs,
+          autofix: Boolean(leak.fix)
         });
       });
 
@@ -293,45 +532,34 @@ class UltimatePerformanceAnalyzer {
           suggestions.push({
             type: 'warning',
             category: 'bundle',
-            severity: 'medium',
-            message: `Heavy dependency: ${heavyImport.library} (${heavyImport.estimatedSize})`,
+            rule: heavyImport.ruleId,
+            severity: heavyImport.severity,
+            message: heavyImport.message,
             impact: 'Bundle size, loading time',
-            suggestion: heavyImport.alternative,
-            autofix: false
+            line: heavyImport.line,
+            suggestion: heavyImport.suggestion,
+            docs: heavyImport.docs,
+            autofix: Boolean(heavyImport.fix)
           });
         });
       }
+    }
 
-      // React-specific issues
-      if (advanced.performance.react) {
-        const react = advanced.performance.react;
-        
-        if (react.issues) {
-          react.issues.forEach(issue => {
-            suggestions.push({
-              type: 'warning',
-              category: 'react',
-              severity: 'medium',
-              message: issue.message || 'React performance issue detected',
-              impact: 'Component performance, re-renders',
-              autofix: false
-            });
-          });
-        }
-
-        if (react.recommendations) {
-          react.recommendations.forEach(rec => {
-            suggestions.push({
-              type: 'info',
-              category: 'react-optimization',
-              severity: 'low',
-              message: rec.message || 'React optimization opportunity',
-              impact: 'Component performance',
-              autofix: true
-            });
-          });
-        }
-      }
+    // Inline disable directives that silenced nothing
+    if (analysis.advanced && this.config.reportUnusedDirectives) {
+      analysis.advanced.unusedDirectives.forEach(directive => {
+        const target = directive.rules ? directive.rules.join(', ') : 'any rule';
+        suggestions.push({
+          type: 'info',
+          category: 'suppression',
+          severity: 'low',
+          message: `Unused perf-wizard-${directive.kind} directive (no ${target} findings)`,
+          impact: 'Stale suppressions can hide future issues',
+          line: directive.line,
+          suggestion: 'Remove the directive',
+          autofix: false
+        });
+      });
     }
 
     // If no issues found
@@ -357,15 +585,16 @@ class UltimatePerformanceAnalyzer {
     // Fallback scoring for non-JS files
     let score = 100;
     
-    if (analysis.size > this.config.thresholds.fileSize) {
+    const { thresholds } = this.config;
+    const fileSize = this.ruleConfig('file-size');
+    if (fileSize && analysis.size > (fileSize.options.maxSize ?? thresholds.fileSize)) {
       score -= 10;
     }
 
     if (analysis.traditionalAnalysis) {
       const trad = analysis.traditionalAnalysis;
-      if (trad.complexity > 15) score -= 20;
-      if (trad.functions > this.config.thresholds.functions) score -= 10;
-      if (trad.duplicatedCode > 5) score -= 15;
+      const functionCount = this.ruleConfig('function-count');
+      if (functionCount && trad.functions > (functionCount.options.max ?? thresholds.functions)) score -= 10;
     }
 
     return Math.max(0, Math.min(100, score));
@@ -374,11 +603,13 @@ class UltimatePerformanceAnalyzer {
   updateGlobalStats(analysis) {
     this.totalScore += analysis.performanceScore;
     
-    analysis.suggestions.forEach(suggestion => {
-      if (suggestion.severity === 'high') this.issueCount.high++;
-      else if (suggestion.severity === 'medium') this.issueCount.medium++;
-      else if (suggestion.severity === 'low') this.issueCount.low++;
-    });
+    analysis.suggestions.forEach(suggestion => this.countIssue(suggestion));
+  }
+
+  countIssue(suggestion) {
+    if (suggestion.severity === 'high') this.issueCount.high++;
+    else if (suggestion.severity === 'medium') this.issueCount.medium++;
+    else if (suggestion.severity === 'low') this.issueCount.low++;
   }
 
   formatSize(bytes) {
@@ -435,6 +666,10 @@ class UltimatePerformanceAnalyzer {
     // Bundle analysis
     const jsFiles = this.results.filter(r => ['.js', '.ts', '.jsx', '.tsx'].includes(path.extname(r.fullPath)));
     const estimatedBundleSize = jsFiles.reduce((sum, file) => sum + file.size, 0);
+    // Installed packages measured for the heavy-import rule, largest first
+    const dependencies = this.advancedAnalyzer.packageSizer.measuredPackages()
+      .map(({ name, version, files, raw, minified, gzip }) => ({ name, version, files, raw, minified, gzip }));
+    const dependencyBytes = dependencies.reduce((sum, dependency) => sum + dependency.minified, 0);
 
     return {
       totalFiles,
@@ -444,7 +679,13 @@ class UltimatePerformanceAnalyzer {
       issues: this.issueCount,
       executionTime: `${executionTime}ms`,
       estimatedBundleSize: this.formatSize(estimatedBundleSize),
+      dependencies,
+      dependencySize: this.formatSize(dependencyBytes),
       topIssues,
+      clones: this.clones,
+      circularDependencies: this.cycles,
+      unused: this.unused,
+      fixes: { ...this.fixes, dryRun: Boolean(this.config.fixDryRun) },
       timestamp: new Date().toISOString()
     };
   }
@@ -483,6 +724,9 @@ class UltimateOutputFormatter {
       console.log(chalk.red.bold('🚨 Critical Issues to Fix:'));
       summary.topIssues.forEach((issue, index) => {
         console.log(chalk.red(`   ${index + 1}. ${issue.message}`));
+        if (issue.attack) {
+          console.log(chalk.gray(`      Attack: ${issue.attack}`));
+        }
         if (issue.suggestion) {
           console.log(chalk.blue(`      💡 ${issue.suggestion}`));
         }
@@ -501,7 +745,7 @@ class UltimateOutputFormatter {
       
       if (result.traditionalAnalysis) {
         const trad = result.traditionalAnalysis;
-        console.log(chalk.magenta(`   Lines: ${trad.lines} | Functions: ${trad.functions} | Complexity: ${trad.complexity}`));
+        console.log(chalk.magenta(`   Lines: ${trad.lines} | Functions: ${trad.functions} | Complexity: ${trad.complexity ?? 'n/a'}`));
       }
 
       // Show critical suggestions only
@@ -512,6 +756,9 @@ class UltimateOutputFormatter {
         if (suggestion.line) {
           console.log(chalk.gray(`      Line ${suggestion.line}`));
         }
+        if (suggestion.attack) {
+          console.log(chalk.gray(`      Attack: ${suggestion.attack}`));
+        }
       });
       
       console.log('');
@@ -539,6 +786,24 @@ class UltimateOutputFormatter {
     console.log(gradeColor(`🏆 Overall Grade: ${summary.grade} (${summary.averageScore}/100)`));
     console.log(chalk.green(`📁 Analyzed: ${summary.totalFiles} files (${summary.totalSize})`));
     console.log(chalk.blue(`📦 Estimated Bundle: ${summary.estimatedBundleSize}`));
+    if (summary.dependencies.length > 0) {
+      console.log(chalk.blue(`📚 Dependencies: ${summary.dependencies.length} packages (${summary.dependencySize} minified)`));
+    }
+
+    if (summary.clones.length > 0) {
+      const copies = summary.clones.reduce((sum, group) => sum + group.occurrences.length, 0);
+      console.log(chalk.magenta(`🧬 Code Clones: ${summary.clones.length} groups (${copies} copies)`));
+    }
+    if (summary.circularDependencies.length > 0) {
+      console.log(chalk.red(`🔄 Circular Dependencies: ${summary.circularDependencies.length}`));
+    }
+    if (summary.unused) {
+      console.log(chalk.magenta(`🪦 Unused Code: ${summary.unused.files.length} files, ${summary.unused.exports.length} exports`));
+    }
+    if (summary.fixes.fixed > 0) {
+      const verb = summary.fixes.dryRun ? 'Fixable' : 'Fixed';
+      console.log(chalk.green(`🔧 ${verb}: ${summary.fixes.fixed} issues in ${summary.fixes.files} files`));
+    }
     
     if (summary.issues.high > 0) {
       console.log(chalk.red(`🚨 High Priority Issues: ${summary.issues.high}`));
@@ -557,6 +822,36 @@ class UltimateOutputFormatter {
     console.log(chalk.blue(`⏱️  Execution time: ${summary.executionTime}`));
   }
 
+  // Unified diffs of the fixes a --fix-dry-run would apply
+  static diffs(results) {
+    results.filter(result => result.fix && result.fix.dryRun).forEach(result => {
+      result.fix.diff.split('\n').forEach(line => {
+        if (line.startsWith('+++') || line.startsWith('---')) console.log(chalk.bold(line));
+        else if (line.startsWith('@@')) console.log(chalk.cyan(line));
+        else if (line.startsWith('+')) console.log(chalk.green(line));
+        else if (line.startsWith('-')) console.log(chalk.red(line));
+        else console.log(line);
+      });
+    });
+  }
+
+  static metrics(trad) {
+    if (!trad || !trad.halstead) return;
+
+    const { halstead } = trad;
+    console.log(chalk.yellow('\n  📐 METRICS'));
+    console.log(`    Maintainability Index: ${trad.maintainabilityIndex} | Cyclomatic: ${trad.complexity}`);
+    console.log(chalk.gray(`       Halstead volume: ${halstead.volume} | difficulty: ${halstead.difficulty} | effort: ${halstead.effort} | est. bugs: ${halstead.bugs}`));
+
+    // Least maintainable functions first
+    const functions = [...trad.functionMetrics]
+      .sort((a, b) => a.maintainabilityIndex - b.maintainabilityIndex)
+      .slice(0, 5);
+    functions.forEach(fn => {
+      console.log(chalk.gray(`       ${fn.name} (lines ${fn.line}-${fn.endLine}): MI ${fn.maintainabilityIndex}, cyclomatic ${fn.cyclomatic}, cognitive ${fn.cognitive}, volume ${fn.halstead.volume}`));
+    });
+  }
+
   static detailed(results, summary, config) {
     UltimateOutputFormatter.console(results, summary, config);
     
@@ -569,7 +864,8 @@ class UltimateOutputFormatter {
       }
       
       console.log(chalk.blue.bold(`📋 ${result.file} - Detailed Report`));
-      
+      UltimateOutputFormatter.metrics(result.traditionalAnalysis);
+
       // Group suggestions by category
       const categories = {};
       result.suggestions.forEach(suggestion => {
@@ -586,6 +882,9 @@ class UltimateOutputFormatter {
                       suggestion.severity === 'medium' ? '⚠️' : '💡';
           console.log(`    ${icon} ${suggestion.message}`);
           console.log(chalk.gray(`       Impact: ${suggestion.impact}`));
+          if (suggestion.attack) {
+            console.log(chalk.gray(`       Attack: ${suggestion.attack}`));
+          }
           if (suggestion.suggestion) {
             console.log(chalk.blue(`       Solution: ${suggestion.suggestion}`));
           }
@@ -621,7 +920,11 @@ program
   .option('--exclude <patterns>', 'Comma-separated exclude patterns', (value) => value.split(','))
   .option('--react', 'Enable React-specific analysis')
   .option('--vue', 'Enable Vue-specific analysis')
-  .option('--autofix', 'Enable auto-fix suggestions (experimental)')
+  .option('--svelte', 'Enable Svelte-specific analysis')
+  .option('--angular', 'Enable Angular-specific analysis')
+  .option('--unused', 'Find files no entry point reaches and exports nothing imports')
+  .option('--autofix', 'Apply rule fixes and write the files')
+  .option('--fix-dry-run', 'Print the fixes --autofix would apply as unified diffs')
   .option('--ci', 'CI mode - exit with error code if score below threshold');
 
 program.action(async (options) => {
@@ -632,7 +935,11 @@ program.action(async (options) => {
   if (options.scoreThreshold) config.config.thresholds.performanceScore = options.scoreThreshold;
   if (options.react) config.config.analysis.react = true;
   if (options.vue) config.config.analysis.vue = true;
+  if (options.svelte) config.config.analysis.svelte = true;
+  if (options.angular) config.config.analysis.angular = true;
+  if (options.unused) config.config.analysis.unused = true;
   if (options.autofix) config.config.autofix = true;
+  if (options.fixDryRun) config.config.fixDryRun = true;
 
   const analyzer = new UltimatePerformanceAnalyzer(config.config);
 
@@ -684,6 +991,7 @@ program.action(async (options) => {
       return;
     }
 
+    analyzer.analyzeProject(results);
     const summary = analyzer.generateUltimateSummary();
 
     if (options.json) {
@@ -695,6 +1003,9 @@ program.action(async (options) => {
     } else {
       UltimateOutputFormatter.console(results, summary, config.config);
     }
+    if (options.fixDryRun && !options.json) {
+      UltimateOutputFormatter.diffs(results);
+    }
 
     // CI mode - exit with error if below threshold
     if (options.ci && summary.averageScore < config.config.thresholds.performanceScore) {
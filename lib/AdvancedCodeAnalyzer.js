@@ -5,268 +5,980 @@ const ts = require('typescript');
 const fs = require('fs');
 const path = require('path');
 
+const RuleRegistry = require('./RuleRegistry');
+const PluginLoader = require('./PluginLoader');
+const Suppressions = require('./Suppressions');
+const ComplexityAnalyzer = require('./ComplexityAnalyzer');
+const HalsteadAnalyzer = require('./HalsteadAnalyzer');
+const RegexAnalyzer = require('./RegexAnalyzer');
+const CloneDetector = require('./CloneDetector');
+const DependencyGraph = require('./DependencyGraph');
+const PackageSizer = require('./PackageSizer');
+const LibraryDatabase = require('./LibraryDatabase');
+const RuleFixer = require('./RuleFixer');
+const VueParser = require('./VueParser');
+const SvelteParser = require('./SvelteParser');
+const AngularParser = require('./AngularParser');
+const builtInRules = require('./rules');
+const { LOOP_KINDS } = require('./rules/expensive-work');
+
+const PARSER_PLUGINS = ['jsx', 'typescript', 'decorators-legacy'];
+// Fixes can make new fixes possible; stop after this many rounds
+const MAX_FIX_PASSES = 10;
+const EFFECT_HOOKS = ['useEffect', 'useLayoutEffect', 'useInsertionEffect'];
+// Calls that cancel each kind of timer, the matching one first; timeouts and
+// intervals share their IDs
+const TIMER_CLEARS = {
+  setTimeout: ['clearTimeout', 'clearInterval'],
+  setInterval: ['clearInterval', 'clearTimeout'],
+  requestAnimationFrame: ['cancelAnimationFrame']
+};
+// Methods where classes undo what they set up: React class components,
+// custom elements (Lit included) and Angular classes
+const TEARDOWN_METHODS = ['componentWillUnmount', 'disconnectedCallback', 'ngOnDestroy'];
+const ELEMENT_CLASSES = /^(HTML\w*Element|LitElement)$/;
+const COMPONENT_WRAPPERS = ['memo', 'forwardRef'];
+const COMPONENT_CLASSES = ['Component', 'PureComponent'];
+const MEMO_HOOKS = ['useMemo', 'useCallback'];
+// Hook results React keeps identical across renders, by array position
+// (null for the whole result)
+const STABLE_HOOK_VALUES = {
+  useState: [1],
+  useReducer: [1],
+  useTransition: [1],
+  useRef: [null],
+  useEffectEvent: [null]
+};
+const OTHER_JSX_RUNTIMES = ['preact', 'solid-js', 'inferno', '@builder.io/qwik'];
+const VUE_PACKAGES = ['vue', '@vue/composition-api', '@vue/runtime-core'];
+// Vue lifecycle hooks in the Options API and the Composition API
+const VUE_HOOKS = {
+  mount: ['setup', 'created', 'beforeMount', 'mounted', 'activated', 'onBeforeMount', 'onMounted', 'onActivated'],
+  unmount: [
+    'beforeUnmount', 'unmounted', 'beforeDestroy', 'destroyed', 'deactivated',
+    'onBeforeUnmount', 'onUnmounted', 'onDeactivated'
+  ]
+};
+// Svelte lifecycle functions; `$effect` callbacks run on mount and rerun
+// when their dependencies change
+const SVELTE_HOOKS = {
+  mount: ['onMount', '$effect', '$effect.pre'],
+  unmount: ['onDestroy']
+};
+// Decorators of Angular classes; components and directives have a lifecycle
+const ANGULAR_DECORATORS = ['Component', 'Directive', 'Pipe', 'Injectable', 'NgModule'];
+// Methods registering route handlers and middleware on servers and routers
+const ROUTE_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'del', 'all', 'options', 'head', 'use'];
+// Variables conventionally holding a server or router, and the calls creating them
+const SERVER_NAMES = /^(app|router|server|api|fastify|routes?|instance)$/i;
+const SERVER_FACTORIES = ['express', 'Router', 'fastify', 'Fastify', 'Koa', 'Hono', 'polka', 'restify.createServer'];
+// Array methods whose callbacks run once per item
+const ITERATION_METHODS = [
+  'forEach', 'map', 'filter', 'reduce', 'reduceRight', 'some', 'every', 'find', 'findIndex', 'flatMap'
+];
+
+// Where findings of each rule category are collected in the results; any
+// other category is reported as a performance bottleneck
+const FINDING_BUCKETS = {
+  memory: results => results.memoryLeaks,
+  bundle: results => results.bundleImpact.heavyImports
+};
+
 class AdvancedCodeAnalyzer {
-  constructor() {
+  constructor(options = {}) {
     this.performanceIssues = [];
     this.optimizations = [];
+    this.complexityAnalyzer = new ComplexityAnalyzer();
+    this.halsteadAnalyzer = new HalsteadAnalyzer();
+    this.regexAnalyzer = new RegexAnalyzer();
+    this.nodeMetrics = new WeakMap();
+    this.components = new WeakMap();
+    this.angularTemplates = new WeakMap();
+    this.cloneDetector = null;
+    this.dependencyGraph = new DependencyGraph();
+    this.packageSizer = new PackageSizer();
+    this.libraries = new LibraryDatabase(options.rootDir);
+    this.fixer = new RuleFixer();
+    this.vueParser = new VueParser();
+    this.svelteParser = new SvelteParser();
+    this.angularParser = new AngularParser();
+    // Angular rules are opt-in (`analysis.angular`)
+    this.angular = Boolean(options.angular);
+    this.rules = new RuleRegistry();
+    builtInRules.forEach(rule => this.rules.register(rule));
+    this.configProblems = [
+      ...this.loadPlugins(options.plugins, options.rootDir),
+      ...this.libraries.configure(options.libraryLists, options.libraries),
+      ...this.rules.configure(options.rules)
+    ];
   }
 
-  // React-specific analysis
-  analyzeReactComponent(code, filePath) {
-    try {
-      const ast = babel.parse(code, {
-        sourceType: 'module',
-        plugins: ['jsx', 'typescript', 'decorators-legacy']
-      });
+  // Registers the rules of every configured plugin; returns load problems
+  loadPlugins(plugins = [], rootDir) {
+    const loader = new PluginLoader(rootDir);
+    const problems = [];
 
-      const issues = [];
-      const recommendations = [];
-
-      traverse(ast, {
-        // Detect React anti-patterns
-        FunctionDeclaration(path) {
-          if (this.isReactComponent(path.node)) {
-            // Check for inline object creation in props
-            this.checkInlineObjects(path, issues);
-            // Check for expensive operations in render
-            this.checkExpensiveRender(path, issues);
-            // Check for missing React.memo opportunities
-            this.checkMemoOpportunities(path, recommendations);
-          }
-        },
+    plugins.forEach(entry => {
+      const label = typeof entry === 'string' ? entry : entry?.name;
+      try {
+        loader.load(entry).rules.forEach(rule => this.rules.register(rule));
+      } catch (error) {
+        // Drop the require stack Node appends to resolution errors
+        const [reason] = error.message.split('\n');
+        problems.push(`Failed to load plugin "${label}": ${reason}`);
+      }
+    });
 
-        // Detect hooks issues
-        CallExpression(path) {
-          if (this.isHook(path.node)) {
-            this.analyzeHookUsage(path, issues, recommendations);
-          }
-        },
+    return problems;
+  }
 
-        // Detect unnecessary re-renders
-        JSXElement(path) {
-          this.checkJSXOptimizations(path, recommendations);
-        }
+  // Descriptor of a Vue or Svelte component file (see VueParser and
+  // SvelteParser), or null for other files
+  parseComponent(code, filePath) {
+    const parser = { '.vue': this.vueParser, '.svelte': this.svelteParser }[path.extname(filePath)];
+    return parser ? parser.parse(code) : null;
+  }
+
+  // Parse once per file with a single plugin list shared by every pass.
+  // `sfc` is the already parsed descriptor of a component file.
+  parse(code, filePath, sfc = this.parseComponent(code, filePath)) {
+    const ext = path.extname(filePath);
+    let source = code;
+    let lang = ext.slice(1);
+    // Component files parse as their `<script>` blocks, at their place in
+    // the file
+    if (sfc) {
+      source = this.vueParser.scriptSource(code, sfc);
+      lang = sfc.scripts.map(script => script.lang).find(Boolean) || 'js';
+    }
+    // `<T>value` casts are valid in .ts files, where JSX is not
+    const plugins = ['ts', 'typescript'].includes(lang)
+      ? PARSER_PLUGINS.filter(plugin => plugin !== 'jsx')
+      : PARSER_PLUGINS;
+
+    return babel.parse(source, {
+      sourceType: 'module',
+      plugins,
+      // Token streams feed cross-file clone detection
+      tokens: true
+    });
+  }
+
+  // Wraps a pass's visitors so a failure disables only that pass for the
+  // current file instead of aborting the shared traversal
+  guardVisitors(visitors, onError) {
+    let failed = false;
+    const guard = fn => function (...args) {
+      if (failed) return;
+      try {
+        fn.apply(this, args);
+      } catch (error) {
+        failed = true;
+        onError(error);
+      }
+    };
+
+    const guarded = {};
+    Object.entries(visitors).forEach(([key, visitor]) => {
+      if (typeof visitor === 'function') {
+        guarded[key] = guard(visitor);
+      } else {
+        guarded[key] = {};
+        if (visitor.enter) guarded[key].enter = guard(visitor.enter);
+        if (visitor.exit) guarded[key].exit = guard(visitor.exit);
+      }
+    });
+    return guarded;
+  }
+
+  // The API every rule's `create` receives; `report` turns a node and message
+  // into a finding carrying the rule's ID, category, severity and docs
+  createRuleContext(rule, config, file, findings) {
+    const { meta } = rule;
+
+    return {
+      id: rule.id,
+      options: config.options,
+      severity: config.severity,
+      filePath: file.filePath,
+      code: file.code,
+      ast: file.ast,
+      // Blocks and markup of a Vue or Svelte component (see VueParser and
+      // SvelteParser); `sfc.framework` tells them apart
+      sfc: file.sfc || null,
+      analyzer: this,
+      // `fix(fixer)` returns one edit or a list of edits (see RuleFixer)
+      report: ({ node, severity, fix, ...details }) => {
+        const edit = fix ? this.fixer.merge(fix(this.fixer), file.code) : null;
+        findings.push({
+          ruleId: rule.id,
+          type: rule.id,
+          category: meta.category,
+          severity: config.configured ? config.severity : severity || config.severity,
+          line: node?.loc?.start.line,
+          ...details,
+          ...(edit && { fix: edit }),
+          docs: meta.docs
+        });
+      }
+    };
+  }
+
+  // Per-function metrics, computed once per node and shared with rules
+  getFunctionMetrics(path) {
+    if (!this.nodeMetrics.has(path.node)) {
+      const metrics = this.complexityAnalyzer.measureFunction(path);
+      const halstead = this.halsteadAnalyzer.measure(path.node);
+      this.nodeMetrics.set(path.node, {
+        ...metrics,
+        halstead,
+        maintainabilityIndex: this.halsteadAnalyzer.maintainabilityIndex(
+          halstead.volume, metrics.cyclomatic, metrics.endLine - metrics.line + 1
+        )
       });
+    }
+    return this.nodeMetrics.get(path.node);
+  }
 
-      return { issues, recommendations };
-    } catch (error) {
-      return { issues: [], recommendations: [], error: error.message };
+  // Whole-file metrics, nested functions included
+  getFileMetrics(programPath) {
+    const { node } = programPath;
+    if (!this.nodeMetrics.has(node)) {
+      const cyclomatic = this.complexityAnalyzer.cyclomatic(node, true);
+      const halstead = this.halsteadAnalyzer.measure(node, true);
+      const lines = node.loc ? node.loc.end.line - node.loc.start.line + 1 : 1;
+      this.nodeMetrics.set(node, {
+        cyclomatic,
+        halstead,
+        maintainabilityIndex: this.halsteadAnalyzer.maintainabilityIndex(halstead.volume, cyclomatic, lines)
+      });
     }
+    return this.nodeMetrics.get(node);
+  }
+
+  // Circular import chains between the files analyzed so far
+  findCircularDependencies() {
+    return this.dependencyGraph.findCycles();
+  }
+
+  // Analyzed files no entry point reaches, and exports nothing imports
+  findUnusedCode(entries) {
+    return this.dependencyGraph.findUnused(entries);
+  }
+
+  // Clone groups across every file analyzed so far
+  findClones() {
+    return this.cloneDetector ? this.cloneDetector.findClones() : [];
+  }
+
+  // Complexity, Halstead metrics and maintainability of the file and of
+  // every function in it
+  metricsVisitors(metrics) {
+    return {
+      Program: (path) => {
+        Object.assign(metrics, this.getFileMetrics(path));
+      },
+
+      Function: (path) => {
+        metrics.functions.push(this.getFunctionMetrics(path));
+      }
+    };
   }
 
   // Bundle size impact analysis
-  analyzeBundleImpact(code, filePath) {
-    const imports = [];
-    const heavyImports = [];
-    
-    try {
-      const ast = babel.parse(code, {
-        sourceType: 'module',
-        plugins: ['typescript', 'jsx']
-      });
+  bundleImpactVisitors(bundleImpact) {
+    const { imports, dependencies, exports } = bundleImpact;
+    // Module edges for the project dependency graph. `names` are the exports
+    // used through the edge (`*` for all of them); `reexports` map names this
+    // file re-exports to the target's names. Type-only imports are erased at
+    // compile time and never load anything.
+    const addDependency = (source, kind, node, details = {}) => {
+      dependencies.push({ source, kind, line: node.loc?.start.line, names: ['*'], ...details });
+    };
+    const nameOf = node => (t.isStringLiteral(node) ? node.value : node.name);
+    const addExport = (name, node) => {
+      exports.push({ name, line: node.loc?.start.line });
+    };
+
+    return {
+      ImportDeclaration: (path) => {
+        const source = path.node.source.value;
+        const specifiers = path.node.specifiers;
+
+        imports.push({
+          source,
+          specifiers: specifiers.map(s => s.local.name),
+          isDefaultImport: specifiers.some(s => t.isImportDefaultSpecifier(s)),
+          isNamespaceImport: specifiers.some(s => t.isImportNamespaceSpecifier(s))
+        });
 
-      traverse(ast, {
-        ImportDeclaration(path) {
-          const source = path.node.source.value;
-          const specifiers = path.node.specifiers;
-          
-          imports.push({
-            source,
-            specifiers: specifiers.map(s => s.local.name),
-            isDefaultImport: specifiers.some(s => t.isImportDefaultSpecifier(s)),
-            isNamespaceImport: specifiers.some(s => t.isImportNamespaceSpecifier(s))
+        const typeOnly = path.node.importKind === 'type' ||
+          (specifiers.length > 0 && specifiers.every(s => s.importKind === 'type'));
+        if (typeOnly) return;
+
+        const names = specifiers
+          .filter(s => s.importKind !== 'type')
+          .map(s => {
+            if (t.isImportDefaultSpecifier(s)) return 'default';
+            if (t.isImportNamespaceSpecifier(s)) return '*';
+            return nameOf(s.imported);
           });
+        addDependency(source, 'import', path.node, { names });
+      },
+
+      ExportNamedDeclaration: (path) => {
+        const { node } = path;
+        if (node.exportKind === 'type') return;
+
+        if (node.source) {
+          const reexports = [];
+          const names = [];
+          node.specifiers.forEach(s => {
+            if (s.exportKind === 'type') return;
+            const exported = nameOf(s.exported);
+            const local = t.isExportNamespaceSpecifier(s) ? '*' : nameOf(s.local);
+            names.push(local);
+            reexports.push({ local, exported });
+            addExport(exported, s);
+          });
+          addDependency(node.source.value, 'export', node, { names, reexports });
+          return;
+        }
 
-          // Detect heavy libraries
-          if (this.isHeavyLibrary(source)) {
-            heavyImports.push({
-              library: source,
-              estimatedSize: this.getLibrarySize(source),
-              alternative: this.suggestAlternative(source)
-            });
+        if (node.declaration) {
+          const { declaration } = node;
+          if (declaration.declare || t.isTSInterfaceDeclaration(declaration) ||
+              t.isTSTypeAliasDeclaration(declaration) || t.isTSDeclareFunction(declaration)) {
+            return;
           }
+          Object.keys(t.getBindingIdentifiers(declaration, false, true))
+            .forEach(name => addExport(name, node));
         }
-      });
+        node.specifiers.forEach(s => {
+          if (s.exportKind !== 'type') addExport(nameOf(s.exported), s);
+        });
+      },
 
-      return { imports, heavyImports };
-    } catch (error) {
-      return { imports: [], heavyImports: [], error: error.message };
+      ExportAllDeclaration: (path) => {
+        if (path.node.exportKind === 'type') return;
+        addDependency(path.node.source.value, 'export', path.node, { names: [], exportAll: true });
+      },
+
+      ExportDefaultDeclaration: (path) => {
+        addExport('default', path.node);
+      },
+
+      // `module.exports = ...` / `exports.name = ...`: CommonJS exports are
+      // dynamic, so their use isn't tracked by name
+      AssignmentExpression: (path) => {
+        const { left } = path.node;
+        if (!t.isMemberExpression(left)) return;
+        const object = t.isMemberExpression(left.object) ? left.object.object : left.object;
+        if ((t.isIdentifier(object, { name: 'module' }) || t.isIdentifier(object, { name: 'exports' })) &&
+            !path.scope.hasBinding(object.name)) {
+          bundleImpact.commonJS = true;
+        }
+      },
+
+      CallExpression: (path) => {
+        const { callee, arguments: args } = path.node;
+        if (!t.isStringLiteral(args[0])) return;
+
+        if (t.isImport(callee)) {
+          addDependency(args[0].value, 'dynamic', path.node);
+        } else if (t.isIdentifier(callee, { name: 'require' }) && !path.scope.hasBinding('require')) {
+          addDependency(args[0].value, 'require', path.node);
+        }
+      }
+    };
+  }
+
+  // Helper methods
+  // React component defined by a function or class `path`:
+  // `{ name, kind, render, wrappers }`, or null. `kind` is 'function' or
+  // 'class', `render` the path of the function that runs on every render and
+  // `wrappers` the `memo`/`forwardRef` calls around a function, innermost first.
+  getReactComponent(path) {
+    if (!this.components.has(path.node)) {
+      let component = null;
+      if (!this.usesOtherJSXRuntime(path)) {
+        if (path.isClass()) component = this.getClassComponent(path);
+        else if (path.isFunction()) component = this.getFunctionComponent(path);
+      }
+      this.components.set(path.node, component);
     }
+    return this.components.get(path.node);
   }
 
-  // Performance bottleneck detection
-  detectBottlenecks(code, filePath) {
-    const bottlenecks = [];
-    
-    try {
-      const ast = babel.parse(code, {
-        sourceType: 'module',
-        plugins: ['typescript', 'jsx']
-      });
+  // Whether the file of `path` imports a JSX runtime other than React
+  usesOtherJSXRuntime(path) {
+    return path.scope.getProgramParent().block.body.some(node => t.isImportDeclaration(node) &&
+      OTHER_JSX_RUNTIMES.some(runtime =>
+        node.source.value === runtime || node.source.value.startsWith(`${runtime}/`)));
+  }
 
-      traverse(ast, {
-        // Nested loops detection
-        ForStatement(path) {
-          if (this.hasNestedLoop(path)) {
-            bottlenecks.push({
-              type: 'nested-loop',
-              severity: 'high',
-              line: path.node.loc?.start.line,
-              message: 'Nested loops detected - O(n²) complexity',
-              suggestion: 'Consider using Map/Set for lookups or optimize algorithm'
-            });
-          }
-        },
-
-        // Array method chaining
-        CallExpression(path) {
-          if (this.isArrayMethodChain(path)) {
-            const chainLength = this.getChainLength(path);
-            if (chainLength > 3) {
-              bottlenecks.push({
-                type: 'array-chain',
-                severity: 'medium',
-                line: path.node.loc?.start.line,
-                message: `Long array method chain (${chainLength} methods)`,
-                suggestion: 'Consider combining operations or using for-loop for better performance'
-              });
-            }
-          }
-        },
-
-        // DOM manipulation in loops
-        CallExpression(path) {
-          if (this.isDOMManipulation(path) && this.isInLoop(path)) {
-            bottlenecks.push({
-              type: 'dom-in-loop',
-              severity: 'high',
-              line: path.node.loc?.start.line,
-              message: 'DOM manipulation inside loop',
-              suggestion: 'Batch DOM updates outside the loop'
-            });
-          }
-        }
-      });
+  getFunctionComponent(path) {
+    if (path.isClassMethod() || path.isObjectMethod()) return null;
 
-      return bottlenecks;
-    } catch (error) {
-      return [];
+    // Unwrap `memo(forwardRef((props, ref) => ...))`
+    const wrappers = [];
+    let outer = path;
+    while (outer.parentPath.isCallExpression() && outer.parent.arguments[0] === outer.node) {
+      const callee = this.complexityAnalyzer.getExpressionName(outer.parent.callee) || '';
+      const wrapper = callee.split('.').pop();
+      if (!COMPONENT_WRAPPERS.includes(wrapper)) break;
+      wrappers.push(wrapper);
+      outer = outer.parentPath;
+    }
+
+    const { node } = path;
+    let name = node.id?.name;
+    if (!name && outer.parentPath.isVariableDeclarator({ init: outer.node }) && t.isIdentifier(outer.parent.id)) {
+      name = outer.parent.id.name;
     }
+    if (!name && outer.parentPath.isExportDefaultDeclaration()) name = 'default';
+    if (!name || (name !== 'default' && !/^[A-Z]/.test(name))) return null;
+
+    // Capitalized functions are components only when they render something
+    return wrappers.length > 0 || this.returnsJSX(path)
+      ? { name, kind: 'function', render: path, wrappers }
+      : null;
   }
 
-  // Memory leak detection
-  detectMemoryLeaks(code, filePath) {
-    const leaks = [];
-    
-    try {
-      const ast = babel.parse(code, {
-        sourceType: 'module',
-        plugins: ['typescript', 'jsx']
-      });
+  getClassComponent(path) {
+    const superName = this.complexityAnalyzer.getExpressionName(path.node.superClass) || '';
+    if (!COMPONENT_CLASSES.includes(superName.split('.').pop())) return null;
 
-      traverse(ast, {
-        // Event listener without cleanup
-        CallExpression(path) {
-          if (this.isEventListener(path.node)) {
-            const hasCleanup = this.hasEventCleanup(path);
-            if (!hasCleanup) {
-              leaks.push({
-                type: 'event-listener',
-                severity: 'medium',
-                line: path.node.loc?.start.line,
-                message: 'Event listener without cleanup',
-                suggestion: 'Add removeEventListener in cleanup function'
-              });
-            }
-          }
-        },
-
-        // Timer without cleanup
-        CallExpression(path) {
-          if (this.isTimer(path.node)) {
-            const hasCleanup = this.hasTimerCleanup(path);
-            if (!hasCleanup) {
-              leaks.push({
-                type: 'timer',
-                severity: 'medium',
-                line: path.node.loc?.start.line,
-                message: 'Timer without cleanup',
-                suggestion: 'Store timer ID and clear in cleanup'
-              });
-            }
-          }
-        }
-      });
+    const render = path.get('body.body').find(member =>
+      member.isClassMethod({ kind: 'method', static: false }) && t.isIdentifier(member.node.key, { name: 'render' }));
+    let name = path.node.id?.name;
+    if (!name && path.parentPath.isVariableDeclarator() && t.isIdentifier(path.parent.id)) {
+      name = path.parent.id.name;
+    }
+    return render ? { name: name || 'default', kind: 'class', render, wrappers: [] } : null;
+  }
 
-      return leaks;
-    } catch (error) {
-      return [];
+  // Whether a function returns JSX, not counting nested functions
+  returnsJSX(path) {
+    return this.getReturnedJSX(path).length > 0;
+  }
+
+  // JSX elements and fragments a function returns, following conditional
+  // returns (`cond ? <A /> : <B />`, `cond && <A />`) into their branches
+  getReturnedJSX(path) {
+    const roots = [];
+    const collect = node => {
+      if (t.isJSXElement(node) || t.isJSXFragment(node)) roots.push(node);
+      else if (t.isConditionalExpression(node)) [node.consequent, node.alternate].forEach(collect);
+      else if (t.isLogicalExpression(node)) collect(node.right);
+      else if (t.isParenthesizedExpression(node)) collect(node.expression);
+    };
+
+    if (!t.isBlockStatement(path.node.body)) {
+      collect(path.node.body);
+      return roots;
     }
+    path.get('body').traverse({
+      Function: inner => inner.skip(),
+      ReturnStatement: inner => collect(inner.node.argument)
+    });
+    return roots;
   }
 
-  // Helper methods
-  isReactComponent(node) {
-    return node.type === 'FunctionDeclaration' && 
-           node.id && 
-           /^[A-Z]/.test(node.id.name);
+  // Callback of a `list.map(...)` call `path` that renders JSX items, or null
+  getListCallback(path) {
+    const { callee } = path.node;
+    if (!(t.isMemberExpression(callee) || t.isOptionalMemberExpression(callee)) || callee.computed ||
+        !t.isIdentifier(callee.property, { name: 'map' })) {
+      return null;
+    }
+    const callback = path.get('arguments.0');
+    return callback?.isFunction() && this.returnsJSX(callback) ? callback : null;
   }
 
-  isHook(node) {
-    return node.type === 'CallExpression' &&
-           node.callee.type === 'Identifier' &&
-           node.callee.name.startsWith('use');
+  // Component whose render `path` runs in, callbacks defined during render
+  // included, or null
+  getEnclosingComponent(path) {
+    for (let fn = path.getFunctionParent(); fn; fn = fn.getFunctionParent()) {
+      const component = this.getReactComponent(fn.isClassMethod() ? fn.parentPath.parentPath : fn);
+      if (component && component.render === fn) return component;
+    }
+    return null;
   }
 
-  isHeavyLibrary(source) {
-    const heavyLibs = [
-      'lodash', 'moment', 'axios', 'jquery', 'bootstrap', 
-      'material-ui', 'antd', 'react-router-dom'
-    ];
-    return heavyLibs.some(lib => source.includes(lib));
+  // Dotted name of a JSX element name (`Theme.Provider`)
+  getJSXName(node) {
+    if (t.isJSXMemberExpression(node)) return `${this.getJSXName(node.object)}.${node.property.name}`;
+    if (t.isJSXNamespacedName(node)) return `${node.namespace.name}:${node.name.name}`;
+    return node.name;
   }
 
-  getLibrarySize(source) {
-    const sizes = {
-      'lodash': '70KB',
-      'moment': '67KB', 
-      'jquery': '87KB',
-      'bootstrap': '158KB',
-      'material-ui': '300KB+',
-      'antd': '500KB+'
-    };
-    
-    for (const [lib, size] of Object.entries(sizes)) {
-      if (source.includes(lib)) return size;
+  // Whether the file of `path` is a Vue component: a single-file component,
+  // or a module importing Vue
+  usesVue(path, sfc) {
+    if (sfc) return sfc.framework === 'vue';
+    return path.scope.getProgramParent().block.body.some(node => t.isImportDeclaration(node) &&
+      VUE_PACKAGES.includes(node.source.value));
+  }
+
+  // Phase, 'mount' or 'unmount', of the Vue or Svelte lifecycle hook `name`
+  getLifecyclePhase(name, framework) {
+    const hooks = framework === 'svelte' ? SVELTE_HOOKS : VUE_HOOKS;
+    return Object.keys(hooks).find(phase => hooks[phase].includes(name)) || null;
+  }
+
+  // Name of the call a callback `fn` is passed to first, e.g. `onMounted`
+  getCallbackCallee(fn) {
+    return fn.parentPath.isCallExpression() && fn.parent.arguments[0] === fn.node
+      ? this.complexityAnalyzer.getExpressionName(fn.parent.callee)
+      : null;
+  }
+
+  // Lifecycle hook of the component file the call or statement `path` runs
+  // in: `{ name, phase }` with `phase` 'mount' or 'unmount', or null
+  getLifecycleHook(path, sfc) {
+    if (sfc?.framework === 'svelte') return this.getSvelteLifecycleHook(path, sfc);
+    return this.usesVue(path, sfc) ? this.getVueLifecycleHook(path, sfc) : null;
+  }
+
+  // Vue lifecycle hooks are methods named after the hook in the Options API
+  // and take a callback in the Composition API (`onMounted(() => ...)`); the
+  // top level of `<script setup>` (outside any function) runs at setup
+  getVueLifecycleHook(path, sfc) {
+    for (let fn = path.getFunctionParent(); fn; fn = fn.getFunctionParent()) {
+      let name = this.getCallbackCallee(fn);
+      if (fn.isObjectMethod() && !fn.node.computed) name = fn.node.key.name;
+      else if (fn.parentPath.isObjectProperty({ value: fn.node }) && !fn.parent.computed) name = fn.parent.key.name;
+      const phase = this.getLifecyclePhase(name, 'vue');
+      if (phase) return { name, phase };
     }
-    return 'Unknown';
+
+    const setup = sfc?.scripts.find(script => script.setup);
+    return setup && !path.getFunctionParent() && path.node.start >= setup.start && path.node.end <= setup.end
+      ? { name: 'setup', phase: 'mount' }
+      : null;
   }
 
-  suggestAlternative(source) {
-    const alternatives = {
-      'lodash': 'Use native ES6 methods or lodash-es for tree shaking',
-      'moment': 'Use date-fns or dayjs (2KB vs 67KB)',
-      'jquery': 'Use vanilla JavaScript or modern alternatives',
-      'bootstrap': 'Use Tailwind CSS or CSS Modules',
-      'material-ui': 'Use Mantine or Chakra UI (lighter alternatives)',
-      'antd': 'Use individual component imports'
+  // Svelte components run the top level of their instance `<script>` on
+  // mount, along with `onMount` and `$effect` callbacks; functions those
+  // callbacks return and `onDestroy` callbacks run on unmount
+  getSvelteLifecycleHook(path, sfc) {
+    for (let fn = path.getFunctionParent(); fn; fn = fn.getFunctionParent()) {
+      const name = this.getCallbackCallee(fn);
+      const phase = this.getLifecyclePhase(name, 'svelte');
+      if (phase) return { name, phase };
+
+      // `onMount(() => { ...; return () => teardown(); })`
+      const owner = fn.parentPath.isReturnStatement() ? fn.parentPath.getFunctionParent() : null;
+      const ownerName = owner && this.getCallbackCallee(owner);
+      if (this.getLifecyclePhase(ownerName, 'svelte') === 'mount') {
+        return { name: `${ownerName} teardown`, phase: 'unmount' };
+      }
+    }
+
+    const instance = sfc.scripts.find(script => !script.module);
+    return instance && !path.getFunctionParent() && path.node.start >= instance.start && path.node.end <= instance.end
+      ? { name: 'component script', phase: 'mount' }
+      : null;
+  }
+
+  // Whether `path` runs while a Vue or Svelte component mounts
+  runsOnComponentMount(path, sfc) {
+    return this.getLifecycleHook(path, sfc)?.phase === 'mount';
+  }
+
+  // Angular class the class `path` declares: `{ name, decorator, metadata }`
+  // with the decorator name (`Component`, ...) and its metadata object, or
+  // null for other classes
+  getAngularClass(path) {
+    for (const { expression } of path.node.decorators || []) {
+      if (!t.isCallExpression(expression) || !t.isIdentifier(expression.callee)) continue;
+      const decorator = expression.callee.name;
+      const binding = path.scope.getBinding(decorator);
+      if (!ANGULAR_DECORATORS.includes(decorator) ||
+          (binding?.kind === 'module' && binding.path.parent.source.value !== '@angular/core')) continue;
+
+      const [metadata] = expression.arguments;
+      return {
+        name: path.node.id ? path.node.id.name : 'anonymous class',
+        decorator,
+        metadata: t.isObjectExpression(metadata) ? metadata : null
+      };
+    }
+    return null;
+  }
+
+  // The `key` property of an Angular metadata object, or null
+  getMetadataProperty(metadata, key) {
+    return metadata?.properties.find(property => t.isObjectProperty(property) && !property.computed &&
+      (t.isIdentifier(property.key, { name: key }) || t.isStringLiteral(property.key, { value: key }))) || null;
+  }
+
+  // Template of an Angular component: `{ template, file, inline }` with the
+  // parsed template (see AngularParser) and the file holding it. Inline
+  // templates must be plain strings; `templateUrl` files are read from next
+  // to the component. Null when there is no readable template.
+  getAngularTemplate(component, filePath, code) {
+    if (!component.metadata) return null;
+    if (this.angularTemplates.has(component.metadata)) return this.angularTemplates.get(component.metadata);
+
+    let result = null;
+    const inline = this.getMetadataProperty(component.metadata, 'template')?.value;
+    const url = this.getMetadataProperty(component.metadata, 'templateUrl')?.value;
+    if (t.isStringLiteral(inline) || (t.isTemplateLiteral(inline) && inline.expressions.length === 0)) {
+      // Between the quotes, at the template's place in the file
+      result = {
+        template: this.angularParser.parseComponentTemplate(code, inline.start + 1, inline.end - 1),
+        file: filePath,
+        inline: true
+      };
+    } else if (t.isStringLiteral(url)) {
+      const file = path.resolve(path.dirname(filePath), url.value);
+      if (fs.existsSync(file)) {
+        result = {
+          template: this.angularParser.parseComponentTemplate(fs.readFileSync(file, 'utf8')),
+          file,
+          inline: false
+        };
+      }
+    }
+
+    this.angularTemplates.set(component.metadata, result);
+    return result;
+  }
+
+  // Where to report a finding on an element or expression of an Angular
+  // template: `{ node, location }`. Inline templates report the item itself;
+  // `templateUrl` templates report the property, with `location` giving the
+  // template file and line.
+  getAngularTemplateLocation(component, template, item) {
+    if (template.inline) return { node: item, location: null };
+    return {
+      node: this.getMetadataProperty(component.metadata, 'templateUrl'),
+      location: `${path.basename(template.file)}:${item.loc.start.line}`
     };
-    
-    for (const [lib, alt] of Object.entries(alternatives)) {
-      if (source.includes(lib)) return alt;
+  }
+
+  // Context a JSX element provides: `Theme` for `<Theme.Provider>`, or a
+  // context rendered as its own provider (`<Theme value>`, React 19); null
+  // for any other element
+  getProvidedContext(elementPath) {
+    const { name } = elementPath.node;
+    if (t.isJSXMemberExpression(name) && name.property.name === 'Provider') return this.getJSXName(name.object);
+    if (!t.isJSXIdentifier(name)) return null;
+
+    const init = elementPath.scope.getBinding(name.name)?.path.node.init;
+    const callee = t.isCallExpression(init) ? this.complexityAnalyzer.getExpressionName(init.callee) || '' : '';
+    return callee.split('.').pop() === 'createContext' ? name.name : null;
+  }
+
+  // Whether `path` runs inside a useMemo/useCallback callback of `render`
+  isMemoizedInRender(path, render) {
+    for (let fn = path.getFunctionParent(); fn && fn !== render; fn = fn.getFunctionParent()) {
+      const call = fn.parentPath;
+      if (call.isCallExpression() && call.node.arguments[0] === fn.node &&
+          MEMO_HOOKS.includes(this.getHookName(call.node))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Name of the hook a call invokes (`useState` for `React.useState`), or null
+  getHookName(node) {
+    if (!t.isCallExpression(node)) return null;
+    const callee = this.complexityAnalyzer.getExpressionName(node.callee) || '';
+    const name = callee.split('.').pop();
+    return /^use[A-Z0-9]/.test(name) ? name : null;
+  }
+
+  isHook(node) {
+    return Boolean(this.getHookName(node));
+  }
+
+  // Component or custom hook whose body `path` runs in directly, outside any
+  // callback: `{ name, render }`, or null
+  getHookOwner(path) {
+    const fn = path.getFunctionParent();
+    if (!fn) return null;
+
+    const component = this.getReactComponent(fn);
+    if (component) return component.render === fn ? { name: component.name, render: fn } : null;
+
+    let name = fn.node.id?.name;
+    if (!name && fn.parentPath.isVariableDeclarator({ init: fn.node }) && t.isIdentifier(fn.parent.id)) {
+      name = fn.parent.id.name;
+    }
+    return /^use[A-Z0-9]/.test(name || '') ? { name, render: fn } : null;
+  }
+
+  // Hook whose result `binding` holds: `{ hook, index }`, where `index` is the
+  // position in a destructured array (`[state, setState] = useState()`) or
+  // null for the whole result
+  getHookBinding(binding) {
+    const declarator = binding?.path;
+    if (!declarator?.isVariableDeclarator()) return null;
+    const hook = this.getHookName(declarator.node.init);
+    if (!hook) return null;
+
+    const { id } = declarator.node;
+    if (t.isIdentifier(id)) return { hook, index: null };
+    if (!t.isArrayPattern(id)) return null;
+    const index = id.elements.findIndex(element => t.isIdentifier(element, { name: binding.identifier.name }));
+    return index === -1 ? null : { hook, index };
+  }
+
+  // Whether `binding` holds a value React keeps identical across renders,
+  // such as a state setter or a ref
+  isStableHookValue(binding) {
+    const result = this.getHookBinding(binding);
+    return Boolean(result && STABLE_HOOK_VALUES[result.hook]?.includes(result.index));
+  }
+
+  // Kind of value an expression creates each time it runs: 'object', 'array'
+  // or 'function'; null for anything else
+  getCreatedValueKind(node) {
+    if (t.isObjectExpression(node)) return 'object';
+    if (t.isArrayExpression(node)) return 'array';
+    if (t.isArrowFunctionExpression(node) || t.isFunctionExpression(node)) return 'function';
+    if (t.isCallExpression(node) && t.isMemberExpression(node.callee) &&
+        t.isIdentifier(node.callee.property, { name: 'bind' })) {
+      return 'function';
+    }
+    return null;
+  }
+
+  // Kind of value the expression `path` holds when it is created anew on
+  // every run of `render`, following variables declared in the render body
+  getRenderValueKind(path, render) {
+    const kind = this.getCreatedValueKind(path.node);
+    if (kind || !path.isIdentifier()) return kind;
+
+    const binding = path.scope.getBinding(path.node.name);
+    if (!binding || !binding.path.isDescendant(render)) return null;
+    if (binding.path.isFunctionDeclaration()) return 'function';
+    return binding.path.isVariableDeclarator() && t.isIdentifier(binding.path.node.id)
+      ? this.getCreatedValueKind(binding.path.node.init)
+      : null;
+  }
+
+  // Module member a value refers to: `{ source, name }` for `fs.readFileSync`,
+  // a `readFileSync` imported or destructured from 'fs', or
+  // `require('fs').readFileSync`. `name` is null for the module itself, and
+  // `node:` prefixes are dropped. Null for values from anywhere else.
+  getModuleMember(node, scope) {
+    if (t.isMemberExpression(node) && !node.computed && t.isIdentifier(node.property)) {
+      const module = this.getModuleMember(node.object, scope);
+      return module && !module.name ? { source: module.source, name: node.property.name } : null;
+    }
+    const moduleOf = source => ({ source: source.replace(/^node:/, ''), name: null });
+    if (t.isCallExpression(node) && t.isIdentifier(node.callee, { name: 'require' }) &&
+        !scope.hasBinding('require') && t.isStringLiteral(node.arguments[0])) {
+      return moduleOf(node.arguments[0].value);
+    }
+
+    const binding = t.isIdentifier(node) && scope.getBinding(node.name);
+    if (!binding) return null;
+    const { path: bindingPath } = binding;
+    if (bindingPath.isImportSpecifier()) {
+      const { imported } = bindingPath.node;
+      return { ...moduleOf(bindingPath.parent.source.value), name: imported.name || imported.value };
+    }
+    if (bindingPath.isImportDefaultSpecifier() || bindingPath.isImportNamespaceSpecifier()) {
+      return moduleOf(bindingPath.parent.source.value);
+    }
+    if (!bindingPath.isVariableDeclarator() || !bindingPath.node.init) return null;
+
+    // `const fs = require('fs')`, `const { readFileSync } = require('fs')`
+    const { id, init } = bindingPath.node;
+    const module = this.getModuleMember(init, bindingPath.scope);
+    if (!module || t.isIdentifier(id)) return module;
+    const property = !module.name && t.isObjectPattern(id) && id.properties.find(candidate =>
+      t.isObjectProperty(candidate) && t.isIdentifier(candidate.value, { name: node.name }));
+    return property && t.isIdentifier(property.key) ? { source: module.source, name: property.key.name } : null;
+  }
+
+  // Whether `node` is a server or router: a variable created by `express()`,
+  // `fastify()`, `new Koa()`, ... or conventionally named `app`, `router`, ...
+  isServerObject(node, scope) {
+    if (!t.isIdentifier(node)) return false;
+    if (SERVER_NAMES.test(node.name)) return true;
+    const init = scope.getBinding(node.name)?.path.node.init;
+    return (t.isCallExpression(init) || t.isNewExpression(init)) &&
+      SERVER_FACTORIES.some(factory => {
+        const name = this.complexityAnalyzer.getExpressionName(init.callee) || '';
+        return name === factory || name.endsWith(`.${factory}`);
+      });
+  }
+
+  // Function a route handler argument refers to: inline, declared in the
+  // file, or wrapped once (`asyncHandler(async (req, res) => ...)`); null
+  // otherwise
+  resolveHandler(argument) {
+    if (!argument?.node) return null;
+    if (argument.isFunction()) return argument;
+    if (argument.isCallExpression() && argument.get('arguments.0').isFunction()) return argument.get('arguments.0');
+    if (!argument.isIdentifier()) return null;
+
+    const binding = argument.scope.getBinding(argument.node.name);
+    if (binding?.path.isFunctionDeclaration()) return binding.path;
+    const init = binding?.path.isVariableDeclarator() ? binding.path.get('init') : null;
+    return init?.isFunction() ? init : null;
+  }
+
+  // Route handlers the call `path` registers: `[{ route, handler }]` with a
+  // label such as 'GET /users' and the path of the handler function. Covers
+  // `app.get('/users', ...handlers)` (Express, Koa routers, Fastify
+  // shorthands), `router.route('/users').get(handler)`,
+  // `fastify.route({ method, url, handler })` and `http.createServer(handler)`.
+  getRouteHandlers(path) {
+    const { callee } = path.node;
+    const args = path.get('arguments');
+    const text = node => (t.isStringLiteral(node) ? node.value : null);
+    if (!t.isMemberExpression(callee) || callee.computed || !t.isIdentifier(callee.property)) return [];
+    const method = callee.property.name;
+
+    // `http.createServer((req, res) => ...)`
+    const server = this.getModuleMember(callee, path.scope);
+    if (server && ['http', 'https', 'http2'].includes(server.source) && /^create(Secure)?Server$/.test(method)) {
+      const handler = args.map(argument => this.resolveHandler(argument)).find(Boolean);
+      return handler ? [{ route: `${server.source} server`, handler }] : [];
+    }
+
+    // `fastify.route({ method: 'GET', url: '/users', handler })`
+    if (method === 'route' && this.isServerObject(callee.object, path.scope) && args[0]?.isObjectExpression()) {
+      const options = args[0];
+      const property = key => options.get('properties').find(candidate => candidate.isObjectProperty() &&
+        t.isIdentifier(candidate.node.key, { name: key }));
+      const handler = this.resolveHandler(property('handler')?.get('value'));
+      const verb = text(property('method')?.node.value) || 'ROUTE';
+      const url = text(property('url')?.node.value) || '';
+      return handler ? [{ route: `${verb.toUpperCase()} ${url}`.trim(), handler }] : [];
     }
-    return 'Consider lighter alternatives';
+
+    if (!ROUTE_METHODS.includes(method)) return [];
+    // `router.route('/users').get(handler)`
+    const chained = t.isCallExpression(callee.object) && t.isMemberExpression(callee.object.callee) &&
+      t.isIdentifier(callee.object.callee.property, { name: 'route' }) ? callee.object : null;
+    const owner = chained ? chained.callee.object : callee.object;
+    if (!this.isServerObject(owner, path.scope)) return [];
+
+    const routePath = chained ? text(chained.arguments[0]) : text(path.node.arguments[0]);
+    const route = method === 'use'
+      ? `middleware${routePath ? ` ${routePath}` : ''}`
+      : `${method.toUpperCase()} ${routePath || ''}`.trim();
+    return args
+      .map(argument => this.resolveHandler(argument))
+      .filter(Boolean)
+      .map(handler => ({ route, handler }));
+  }
+
+  // Function a call runs when it is declared in the file: a function
+  // declaration or variable, or a method of the enclosing class called on
+  // `this`; null otherwise
+  getCalledFunction(path) {
+    const callee = path.get('callee');
+    if (callee.isIdentifier()) return this.resolveHandler(callee);
+    if (!callee.isMemberExpression() || !callee.get('object').isThisExpression() || callee.node.computed) return null;
+
+    const classPath = path.findParent(parent => parent.isClass());
+    const member = classPath?.get('body.body').find(candidate =>
+      t.isIdentifier(candidate.node.key, { name: callee.node.property.name }) && !candidate.node.static);
+    if (member?.isClassMethod()) return member;
+    const value = member?.isClassProperty() ? member.get('value') : null;
+    return value?.isFunction() ? value : null;
+  }
+
+  // Label of the promise the call or `new` expression at `path` creates,
+  // or null when it isn't known to create one: `fetch()`, `new Promise()`,
+  // `Promise.all()`, `fs/promises` functions and async functions declared
+  // in the file
+  getPromiseCall(path) {
+    const { node } = path;
+    const name = this.complexityAnalyzer.getExpressionName(node.callee) || '';
+    if (path.isNewExpression()) return name === 'Promise' ? 'new Promise()' : null;
+    if (!path.isCallExpression()) return null;
+    if (name === 'fetch' || /^Promise\.(all|allSettled|any|race|resolve|reject)$/.test(name)) return `${name}()`;
+
+    const member = this.getModuleMember(node.callee, path.scope);
+    const fsPromises = t.isMemberExpression(node.callee) &&
+      this.getModuleMember(node.callee.object, path.scope);
+    if ((member?.source === 'fs/promises' && member.name) ||
+        (fsPromises?.source === 'fs' && fsPromises.name === 'promises')) {
+      return `${name}()`;
+    }
+
+    const fn = this.getCalledFunction(path);
+    return fn?.node.async ? `${name}()` : null;
   }
 
-  hasNestedLoop(path) {
-    let hasNested = false;
+  // Knowledge base entry for an imported package, matched by exact name
+  getLibraryInfo(source) {
+    const specifier = this.packageSizer.parseSpecifier(source);
+    return specifier ? this.libraries.get(source, specifier.name) : null;
+  }
+
+  // Size in bytes of the package `source` resolves to from `filePath`,
+  // measured in node_modules: `{ name, version, files, raw, minified, gzip,
+  // measured }`. Packages that aren't installed fall back to the knowledge
+  // base size (minified only) of an entry for exactly `source`: the size of
+  // `lodash` says nothing about `lodash/debounce`. Null when the size can't
+  // be told.
+  getLibrarySize(source, filePath) {
+    const measurement = this.packageSizer.measure(source, path.dirname(path.resolve(filePath)));
+    if (measurement) return { ...measurement, measured: true };
+
+    const library = this.getLibraryInfo(source);
+    if (!library?.size || library.name !== source) return null;
+    return {
+      name: source,
+      version: null,
+      files: null,
+      raw: null,
+      minified: library.size,
+      gzip: null,
+      measured: false
+    };
+  }
+
+  // Whether bundlers tree-shake named imports from `source`: the installed
+  // package ships ES modules, or the knowledge base says it does
+  isTreeShakable(source, filePath) {
+    const info = this.getPackageInfo(source, filePath);
+    return info ? info.esm : Boolean(this.getLibraryInfo(source)?.esm);
+  }
+
+  // Module formats of the package `source` imports (see PackageSizer#describe)
+  getPackageInfo(source, filePath) {
+    return this.packageSizer.describe(source, path.dirname(path.resolve(filePath)));
+  }
+
+  // File a package specifier such as `lodash/debounce` resolves to, if any
+  resolvePackage(source, filePath) {
+    return this.packageSizer.resolve(source, path.dirname(path.resolve(filePath)));
+  }
+
+  suggestAlternative(source) {
+    const library = this.getLibraryInfo(source);
+    if (!library) return 'Consider lighter alternatives';
+
+    const alternatives = library.alternatives?.length > 0
+      ? `Consider ${library.alternatives.join(' or ')}`
+      : null;
+    return [alternatives, library.migration].filter(Boolean).join('. ') ||
+      'Consider lighter alternatives';
+  }
+
+  // Deepest loop nesting under (and including) the given loop
+  getLoopDepth(path) {
+    let innerDepth = 0;
     path.traverse({
-      'ForStatement|WhileStatement|DoWhileStatement'(innerPath) {
-        if (innerPath !== path) {
-          hasNested = true;
-        }
+      Loop: (innerPath) => {
+        innerDepth = Math.max(innerDepth, this.getLoopDepth(innerPath));
+        innerPath.skip();
       }
     });
-    return hasNested;
+    return innerDepth + 1;
   }
 
   isArrayMethodChain(path) {
@@ -318,6 +1030,28 @@ class AdvancedCodeAnalyzer {
     return false;
   }
 
+  // Loop or array iteration callback (`items.map(item => ...)`) that runs
+  // `path` once per item, looking up to `boundary`: `{ path, kind }` with a
+  // kind such as 'for...of loop' or 'map() callback', or null. The head of a
+  // `for...of` and the init of a `for` run once and don't count.
+  getIteration(path, boundary = null) {
+    for (let child = path, parent = path.parentPath; parent && parent !== boundary;
+      child = parent, parent = parent.parentPath) {
+      if (parent.isLoop()) {
+        const once = (parent.isForXStatement() && child.key === 'right') ||
+          (parent.isForStatement() && child.key === 'init');
+        if (!once) return { path: parent, kind: `${LOOP_KINDS[parent.type]} loop` };
+      }
+      const call = parent.parentPath;
+      if (parent.isFunction() && call?.isCallExpression() && call.node.arguments.includes(parent.node) &&
+          t.isMemberExpression(call.node.callee) && !call.node.callee.computed &&
+          ITERATION_METHODS.includes(call.node.callee.property.name)) {
+        return { path: parent, kind: `${call.node.callee.property.name}() callback` };
+      }
+    }
+    return null;
+  }
+
   isEventListener(node) {
     return node.callee &&
            node.callee.type === 'MemberExpression' &&
@@ -331,69 +1065,470 @@ class AdvancedCodeAnalyzer {
            timerMethods.includes(node.callee.name);
   }
 
-  hasEventCleanup(path) {
-    // Simple heuristic - check if removeEventListener exists in same scope
-    let hasCleanup = false;
-    const scope = path.scope;
-    
-    scope.traverse(scope.block, {
-      CallExpression(innerPath) {
-        if (innerPath.node.callee &&
-            innerPath.node.callee.type === 'MemberExpression' &&
-            innerPath.node.callee.property.name === 'removeEventListener') {
-          hasCleanup = true;
+  // Where the listener or timer at `path` has to be undone: `{ label,
+  // functions }`, with the functions whose calls count as cleanup. React
+  // effects clean up in the function they return; classes in
+  // componentWillUnmount, disconnectedCallback or ngOnDestroy. Other code
+  // may clean up anywhere in the scope of the call, and has no label. (Vue
+  // and Svelte mount code is checked against its unmount hooks by the
+  // lifecycle cleanup rules.)
+  getTeardown(path) {
+    const effect = this.getEffectCallback(path);
+    if (effect) return { label: 'the effect\'s cleanup function', functions: this.getReturnedFunctions(effect) };
+
+    const classPath = path.findParent(parent => parent.isClass());
+    if (classPath) {
+      const methods = classPath.get('body.body').filter(member => !member.node.static &&
+        t.isIdentifier(member.node.key) && TEARDOWN_METHODS.includes(member.node.key.name));
+      const functions = methods
+        .map(member => (member.isClassProperty() ? member.get('value') : member))
+        .filter(member => member.isFunction());
+      const superName = (this.complexityAnalyzer.getExpressionName(classPath.node.superClass) || '').split('.').pop();
+      let label = null;
+      if (functions.length > 0) label = methods.map(member => member.node.key.name).join(' or ');
+      else if (COMPONENT_CLASSES.includes(superName)) label = 'componentWillUnmount';
+      else if (ELEMENT_CLASSES.test(superName)) label = 'disconnectedCallback';
+      else if (this.getAngularClass(classPath)) label = 'ngOnDestroy';
+      // Other classes may tear down in any method (`destroy()`, `dispose()`)
+      return label ? { label, functions } : { label: null, functions: [classPath] };
+    }
+
+    return { label: null, functions: [path.scope.path] };
+  }
+
+  // Functions `fn` returns from its own body, inline or declared in the file
+  getReturnedFunctions(fn) {
+    const values = [];
+    if (fn.get('body').isBlockStatement()) {
+      fn.get('body').traverse({
+        Function: inner => inner.skip(),
+        ReturnStatement: inner => {
+          if (inner.node.argument) values.push(inner.get('argument'));
         }
-      }
+      });
+    } else {
+      values.push(fn.get('body'));
+    }
+    return values
+      .map(value => (value.isIdentifier() ? this.resolveHandler(value) : value))
+      .filter(value => value?.isFunction());
+  }
+
+  // Whether a call `matches` accepts runs in one of `functions`, directly
+  // or through functions declared in the file that they call
+  callsCleanup(functions, matches) {
+    const visited = new WeakSet();
+    const search = fn => {
+      if (visited.has(fn.node)) return false;
+      visited.add(fn.node);
+      let found = false;
+      fn.traverse({
+        CallExpression: inner => {
+          const called = matches(inner) ? null : this.getCalledFunction(inner);
+          if (matches(inner) || (called && search(called))) {
+            found = true;
+            inner.stop();
+          }
+        }
+      });
+      return found;
+    };
+    return functions.some(search);
+  }
+
+  // Whether two expressions refer to the same value: `this.onResize` and
+  // `this.onResize`, or identifiers bound to the same variable
+  isSameReference(a, b) {
+    if (!t.isNodesEquivalent(a.node, b.node)) return false;
+    let root = a.node;
+    while (t.isMemberExpression(root)) root = root.object;
+    return !t.isIdentifier(root) || a.scope.getBinding(root.name) === b.scope.getBinding(root.name);
+  }
+
+  // `{ capture, once, signal }` of an add/removeEventListener call, where
+  // `signal` is the AbortController whose `abort()` removes the listener
+  getListenerOptions(path) {
+    const options = path.get('arguments.2');
+    if (options?.isBooleanLiteral()) return { capture: options.node.value, once: false, signal: null };
+    if (!options?.isObjectExpression()) return { capture: false, once: false, signal: null };
+
+    const option = key => options.get('properties').find(property => property.isObjectProperty() &&
+      t.isIdentifier(property.node.key, { name: key }))?.get('value');
+    const isTrue = key => Boolean(option(key)?.isBooleanLiteral({ value: true }));
+    // `{ signal: controller.signal }`, or a `signal` variable holding it
+    let signal = option('signal');
+    if (signal?.isIdentifier()) {
+      const binding = signal.scope.getBinding(signal.node.name);
+      signal = binding?.path.isVariableDeclarator() ? binding.path.get('init') : null;
+    }
+    const controller = signal?.isMemberExpression() && t.isIdentifier(signal.node.property, { name: 'signal' })
+      ? signal.get('object')
+      : null;
+    return { capture: isTrue('capture'), once: isTrue('once'), signal: controller };
+  }
+
+  // Whether the listener `path` adds is removed in `functions` (by default
+  // where getTeardown says it has to be): `removeEventListener` with the
+  // same target, event, handler and capture flag, or `abort()` on the
+  // controller of its `signal`. Inline handlers (`() => ...`,
+  // `fn.bind(this)`) can't be removed.
+  hasEventCleanup(path, functions = null) {
+    const [type, handler] = path.get('arguments');
+    if (!type?.node || !handler?.node) return true;
+    const options = this.getListenerOptions(path);
+    if (options.once) return true;
+    const teardown = functions || this.getTeardown(path).functions;
+
+    if (options.signal) {
+      return this.callsCleanup(teardown, call => {
+        const { callee } = call.node;
+        return t.isMemberExpression(callee) && t.isIdentifier(callee.property, { name: 'abort' }) &&
+          this.isSameReference(call.get('callee.object'), options.signal);
+      });
+    }
+    if (!handler.isIdentifier() && !handler.isMemberExpression()) return false;
+    const target = path.get('callee.object');
+    return this.callsCleanup(teardown, call => {
+      const { callee } = call.node;
+      const [removedType, removedHandler] = call.get('arguments');
+      return t.isMemberExpression(callee) && t.isIdentifier(callee.property, { name: 'removeEventListener' }) &&
+        Boolean(removedType?.node && removedHandler?.node) &&
+        this.isSameReference(call.get('callee.object'), target) &&
+        this.isSameReference(removedType, type) &&
+        this.isSameReference(removedHandler, handler) &&
+        this.getListenerOptions(call).capture === options.capture;
     });
-    
-    return hasCleanup;
   }
 
-  hasTimerCleanup(path) {
-    // Check for clearTimeout/clearInterval in same scope
-    let hasCleanup = false;
-    const scope = path.scope;
-    
-    scope.traverse(scope.block, {
-      CallExpression(innerPath) {
-        if (innerPath.node.callee &&
-            innerPath.node.callee.type === 'Identifier' &&
-            ['clearTimeout', 'clearInterval', 'cancelAnimationFrame'].includes(innerPath.node.callee.name)) {
-          hasCleanup = true;
+  // Leading whitespace of the line `node` starts on
+  indentOf(code, node) {
+    const lineStart = code.lastIndexOf('\n', node.start - 1) + 1;
+    return code.slice(lineStart).match(/^[ \t]*/)[0];
+  }
+
+  // Callback of the useEffect/useLayoutEffect call `path` runs in directly
+  // (not inside a nested function), or null
+  getEffectCallback(path) {
+    const callback = path.getFunctionParent();
+    const call = callback?.parentPath;
+    if (!call?.isCallExpression() || call.node.arguments[0] !== callback.node) return null;
+
+    const hook = this.complexityAnalyzer.getExpressionName(call.node.callee) || '';
+    return EFFECT_HOOKS.includes(hook.split('.').pop()) ? callback : null;
+  }
+
+  // Statement undoing the timer or listener call at `path`, visible from the
+  // effect's cleanup. `declare` names a timer ID whose value was thrown away.
+  getSubscriptionCleanup(path, callback, code, takeName) {
+    const { node, parent } = path;
+    const text = expression => code.slice(expression.start, expression.end);
+    // Identifiers must mean the same binding in the cleanup function
+    const visible = expression => {
+      let root = expression;
+      while (t.isMemberExpression(root)) root = root.object;
+      return !t.isIdentifier(root) ||
+        path.scope.getBinding(root.name) === callback.scope.getBinding(root.name);
+    };
+
+    if (this.isTimer(node)) {
+      const clear = this.getTimerClear(node.callee.name);
+      if (!clear) return null;
+      if (t.isVariableDeclarator(parent) && t.isIdentifier(parent.id) && visible(parent.id)) {
+        return { statement: `${clear}(${parent.id.name})` };
+      }
+      if (t.isAssignmentExpression(parent, { operator: '=' }) && parent.right === node && visible(parent.left)) {
+        return { statement: `${clear}(${text(parent.left)})` };
+      }
+      if (t.isExpressionStatement(parent) && path.parentPath.parent === callback.node.body) {
+        const name = takeName({ clearInterval: 'interval', cancelAnimationFrame: 'frame' }[clear] || 'timeout');
+        return { statement: `${clear}(${name})`, declare: { node, text: `const ${name} = ` } };
+      }
+      return null;
+    }
+
+    const { object } = node.callee;
+    const [type, handler] = node.arguments;
+    // Inline handlers can't be removed, and `ref.current` may have changed
+    // by the time the cleanup runs
+    const stable = expression => t.isIdentifier(expression) || t.isThisExpression(expression) ||
+      (t.isMemberExpression(expression) && !expression.computed &&
+        expression.property.name !== 'current' && stable(expression.object));
+    if (!type || !stable(handler) || !stable(object) || !node.arguments.every(visible) || !visible(object)) {
+      return null;
+    }
+    return { statement: `${text(object)}.removeEventListener(${node.arguments.map(text).join(', ')})` };
+  }
+
+  // Fix adding a cleanup return to the effect that `path` (a timer or
+  // listener call) runs in. One fix covers every subscription of the effect;
+  // an existing cleanup function is extended. Null when `path` can't be fixed.
+  getEffectCleanupFix(path, code) {
+    const callback = this.getEffectCallback(path);
+    if (!callback || !t.isBlockStatement(callback.node.body)) return null;
+
+    const body = callback.node.body.body;
+    const returned = body.find(statement => t.isReturnStatement(statement));
+    if (returned && !(t.isFunction(returned.argument) && t.isBlockStatement(returned.argument.body))) {
+      return null;
+    }
+
+    // Cleanup calls already in the returned function; elsewhere in the effect
+    // they run too early
+    const compact = value => value.replace(/\s+/g, '');
+    const existing = new Set();
+    if (returned) {
+      t.traverseFast(returned.argument, node => {
+        const name = t.isCallExpression(node) && this.complexityAnalyzer.getExpressionName(node.callee);
+        if (name && /(^|\.)(removeEventListener|clearTimeout|clearInterval|cancelAnimationFrame)$/.test(name)) {
+          existing.add(compact(code.slice(node.start, node.end)));
         }
+      });
+    }
+
+    const names = new Set();
+    const takeName = base => {
+      let name = base;
+      for (let i = 2; callback.scope.hasBinding(name) || names.has(name); i++) name = `${base}${i}`;
+      names.add(name);
+      return name;
+    };
+
+    const cleanups = [];
+    let fixable = false;
+    callback.get('body').traverse({
+      Function: inner => inner.skip(),
+      CallExpression: inner => {
+        if (!this.isTimer(inner.node) && !this.isEventListener(inner.node)) return;
+        const cleanup = this.getSubscriptionCleanup(inner, callback, code, takeName);
+        if (!cleanup || existing.has(compact(cleanup.statement))) return;
+        cleanups.push(cleanup);
+        if (inner.node === path.node) fixable = true;
       }
     });
-    
-    return hasCleanup;
+    if (!fixable) return null;
+
+    const statementText = code.slice(path.getStatementParent().node.start, path.getStatementParent().node.end);
+    const semi = statementText.trimEnd().endsWith(';') ? ';' : '';
+    const statements = cleanups.map(cleanup => `${cleanup.statement}${semi}`);
+
+    return fixer => {
+      const edits = cleanups
+        .filter(cleanup => cleanup.declare)
+        .map(({ declare }) => fixer.insertTextBefore(declare.node, declare.text));
+
+      if (returned) {
+        const target = returned.argument.body;
+        const last = target.body[target.body.length - 1];
+        const outer = this.indentOf(code, returned);
+        const indent = last ? this.indentOf(code, last) : `${outer}${outer.includes('\t') ? '\t' : '  '}`;
+        const lines = statements.map(statement => `\n${indent}${statement}`).join('');
+        edits.push(last
+          ? fixer.insertTextAfter(last, lines)
+          : fixer.insertTextAfter([target.start, target.start + 1], `${lines}\n${outer}`));
+      } else {
+        const last = body[body.length - 1];
+        const indent = this.indentOf(code, last);
+        const unit = indent.includes('\t') ? '\t' : '  ';
+        edits.push(fixer.insertTextAfter(last, [
+          `\n${indent}return () => {`,
+          ...statements.map(statement => `\n${indent}${unit}${statement}`),
+          `\n${indent}}${semi}`
+        ].join('')));
+      }
+      return edits;
+    };
   }
 
-  // Main analysis method
-  analyzeCode(code, filePath) {
+  // Expressions holding the ID of the timer started at `path`: the
+  // variable, property or ref it is assigned to, and those the ID is copied
+  // to from a variable (`this.timer = id`)
+  getTimerHandles(path) {
+    const { parentPath } = path;
+    let handle = null;
+    if (parentPath.isVariableDeclarator({ init: path.node })) handle = parentPath.get('id');
+    if (parentPath.isAssignmentExpression({ operator: '=', right: path.node })) handle = parentPath.get('left');
+    if (!handle?.isIdentifier() && !handle?.isMemberExpression()) return [];
+
+    const handles = [handle];
+    const binding = handle.isIdentifier() && handle.scope.getBinding(handle.node.name);
+    (binding?.referencePaths || []).forEach(reference => {
+      const copy = reference.parentPath;
+      if (copy.isAssignmentExpression({ operator: '=', right: reference.node })) handles.push(copy.get('left'));
+      if (copy.isVariableDeclarator({ init: reference.node })) handles.push(copy.get('id'));
+    });
+    return handles;
+  }
+
+  // Call that cancels a timer started with `name`, e.g. 'clearInterval'
+  getTimerClear(name) {
+    return TIMER_CLEARS[name]?.[0] || null;
+  }
+
+  // Whether the timer `path` starts is cleared in `functions` (by default
+  // where getTeardown says it has to be), with the ID it returned. A timer
+  // whose ID is thrown away can't be cleared.
+  hasTimerCleanup(path, functions = null) {
+    const clears = TIMER_CLEARS[path.node.callee.name];
+    const handles = this.getTimerHandles(path);
+    if (handles.length === 0) return false;
+
+    return this.callsCleanup(functions || this.getTeardown(path).functions, call => {
+      const name = (this.complexityAnalyzer.getExpressionName(call.node.callee) || '').split('.').pop();
+      const id = call.get('arguments.0');
+      return clears.includes(name) && Boolean(id?.node) && handles.some(handle => this.isSameReference(handle, id));
+    });
+  }
+
+  // Rule findings of an analysis that are still reported (not suppressed)
+  getFindings(results) {
+    return [
+      ...results.performance.bottlenecks,
+      ...results.memoryLeaks,
+      ...results.bundleImpact.heavyImports
+    ].filter(finding => finding.ruleId);
+  }
+
+  // Applies rule fixes pass by pass until none are left. A pass whose output
+  // no longer parses is dropped. Returns the fixed code and the findings fixed.
+  fixCode(code, filePath) {
+    let output = code;
+    const fixed = [];
+    // Packages measured while re-analyzing fixed source that may never be
+    // written stay out of the reported dependencies
+    const { packageSizer } = this;
+    this.packageSizer = new PackageSizer();
+
+    try {
+      for (let pass = 0; pass < MAX_FIX_PASSES; pass++) {
+        const results = this.analyzeCode(output, filePath, { project: false });
+        if (results.error) break;
+
+        const { output: next, applied } = this.fixer.apply(output, this.getFindings(results));
+        if (applied.length === 0) break;
+        try {
+          this.parse(next, filePath);
+        } catch (error) {
+          break;
+        }
+
+        fixed.push(...applied.map(({ ruleId, line, message }) => ({ ruleId, line, message })));
+        output = next;
+      }
+    } finally {
+      this.packageSizer = packageSizer;
+    }
+
+    return { output, fixed };
+  }
+
+  // Main analysis method. `options.project: false` leaves the file out of
+  // project-wide analyses (clones, dependency graph), e.g. while fixing.
+  analyzeCode(code, filePath, options = {}) {
+    const collectProject = options.project !== false;
     const ext = path.extname(filePath);
     const results = {
       filePath,
       fileType: ext,
       timestamp: new Date().toISOString(),
-      performance: {},
-      bundleImpact: {},
+      performance: {
+        bottlenecks: []
+      },
+      bundleImpact: {
+        imports: [],
+        dependencies: [],
+        exports: [],
+        commonJS: false,
+        heavyImports: []
+      },
       memoryLeaks: [],
-      recommendations: []
+      metrics: {
+        cyclomatic: null,
+        halstead: null,
+        maintainabilityIndex: null,
+        functions: []
+      },
+      recommendations: [],
+      suppressed: [],
+      unusedDirectives: []
     };
 
-    // React/JSX analysis
-    if (['.jsx', '.tsx'].includes(ext) || code.includes('React')) {
-      const reactAnalysis = this.analyzeReactComponent(code, filePath);
-      results.performance.react = reactAnalysis;
+    const sfc = this.parseComponent(code, filePath);
+    let ast;
+    try {
+      ast = this.parse(code, filePath, sfc);
+    } catch (error) {
+      results.error = error.message;
+      results.performanceScore = this.calculatePerformanceScore(results);
+      return results;
+    }
+
+    const duplication = this.rules.getConfig('duplicated-code');
+    if (duplication && collectProject) {
+      this.cloneDetector = this.cloneDetector || new CloneDetector(duplication.options);
+      this.cloneDetector.addFile(filePath, ast);
     }
 
+    const passes = [];
+
     // Bundle impact analysis
-    results.bundleImpact = this.analyzeBundleImpact(code, filePath);
+    passes.push({
+      visitors: this.bundleImpactVisitors(results.bundleImpact),
+      onError: error => { results.bundleImpact.error = error.message; }
+    });
+
+    // Complexity, Halstead and maintainability metrics
+    passes.push({
+      visitors: this.metricsVisitors(results.metrics),
+      onError: error => { results.metrics.error = error.message; }
+    });
 
-    // Performance bottlenecks
-    results.performance.bottlenecks = this.detectBottlenecks(code, filePath);
+    // Rule-based checks: bottlenecks, memory leaks, heavy imports, ...
+    const findings = [];
+    results.ruleErrors = [];
+    this.rules.getEnabledRules().forEach(({ rule, config }) => {
+      // Angular components are plain .ts files, so their rules are switched
+      // as a group
+      if (rule.meta.framework === 'angular' && !this.angular) return;
+      const context = this.createRuleContext(rule, config, { filePath, code, ast, sfc }, findings);
+      passes.push({
+        visitors: rule.create(context),
+        onError: error => { results.ruleErrors.push({ ruleId: rule.id, message: error.message }); }
+      });
+    });
+
+    // Every pass shares one traversal of the same AST. Scope errors such as
+    // duplicate declarations abort the traversal itself, outside any pass.
+    try {
+      traverse(ast, traverse.visitors.merge(
+        passes.map(({ visitors, onError }) => this.guardVisitors(visitors, onError))
+      ));
+    } catch (error) {
+      results.error = error.message;
+    }
+
+    // Findings silenced by inline directives are kept for reporting only
+    // Markup comments of component files can hold directives too; sorted by
+    // position so disable/enable pairs don't depend on block order
+    const comments = sfc ? [...ast.comments, ...sfc.comments, ...(sfc.template?.comments || [])] : ast.comments;
+    const suppressions = new Suppressions([...comments].sort((a, b) =>
+      a.loc.start.line - b.loc.start.line || a.loc.start.column - b.loc.start.column));
+    findings.forEach(finding => {
+      const directive = suppressions.find(finding.ruleId, finding.line);
+      if (directive) {
+        results.suppressed.push({
+          ...finding,
+          suppressed: true,
+          suppressedBy: { kind: directive.kind, line: directive.line }
+        });
+        return;
+      }
+
+      const bucket = FINDING_BUCKETS[finding.category];
+      (bucket ? bucket(results) : results.performance.bottlenecks).push(finding);
+    });
 
-    // Memory leaks
-    results.memoryLeaks = this.detectMemoryLeaks(code, filePath);
+    results.unusedDirectives = suppressions.unused();
+    if (collectProject) this.dependencyGraph.addFile(filePath, results.bundleImpact);
 
     // Generate overall score
     results.performanceScore = this.calculatePerformanceScore(results);
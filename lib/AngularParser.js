@@ -0,0 +1,43 @@
+const VueParser = require('./VueParser');
+
+// Attributes whose value is an expression: `[prop]`, `(event)`, `[(model)]`,
+// `*structural` directives and their `bind-`/`on-` spellings
+const EXPRESSION_ATTRIBUTE = /^(\[|\(|\*|bind-|on-|bindon-)/;
+const NG_FOR_PATTERN = /^\s*let\s+([A-Za-z_$][\w$]*)\s+of\s+([^;]+)/;
+
+// Angular component templates. They are HTML with `{{ }}` interpolations
+// like Vue templates, so elements and expressions are parsed the same way
+// (see VueParser); only the binding syntax differs.
+class AngularParser extends VueParser {
+  isExpressionAttribute(name) {
+    return EXPRESSION_ATTRIBUTE.test(name);
+  }
+
+  // Template of the file `code`, or of the part between `start` and `end`
+  // for inline templates, with locations in `code`
+  parseComponentTemplate(code, start = 0, end = code.length) {
+    return this.parseTemplate(code, start, end, this.locator(code));
+  }
+
+  // `{ alias, source, sourceStart, trackBy }` of an
+  // `*ngFor="let item of items; trackBy: trackById"`
+  parseNgFor(attribute) {
+    const match = attribute.value?.match(NG_FOR_PATTERN);
+    if (!match) return null;
+    const trackBy = attribute.value.match(/(?:^|;)\s*trackBy\s*:\s*([^;]+)/);
+    return {
+      alias: match[1],
+      source: match[2].trim(),
+      sourceStart: attribute.valueStart + attribute.value.indexOf(match[2]),
+      trackBy: trackBy ? trackBy[1].trim() : null
+    };
+  }
+
+  // Babel AST of a binding without its pipes (`items | async`), or null
+  parseBinding(text) {
+    const [expression] = text.split(/(?<!\|)\|(?!\|)/);
+    return this.parseExpression(expression);
+  }
+}
+
+module.exports = AngularParser;
@@ -0,0 +1,152 @@
+const HASH_BASE = 257;
+// Small enough that `hash * HASH_BASE` and `id * power` stay exact in doubles
+const HASH_MODULUS = 94906249;
+const SKIPPED_TOKENS = ['CommentLine', 'CommentBlock', 'eof'];
+
+// Token-stream clone detection across files. Identifiers are normalized so
+// copies with renamed variables match; the raw tokens tell exact clones apart.
+// Import declarations are left out so shared import blocks don't count.
+class CloneDetector {
+  constructor(options = {}) {
+    this.minTokens = options.minTokens || 50;
+    this.files = [];
+    this.tokenIds = new Map();
+  }
+
+  tokenId(key) {
+    if (!this.tokenIds.has(key)) this.tokenIds.set(key, this.tokenIds.size + 1);
+    return this.tokenIds.get(key);
+  }
+
+  // Records the tokens of a file parsed with `tokens: true`
+  addFile(filePath, ast) {
+    const skipped = ast.program.body
+      .filter(node => node.type === 'ImportDeclaration')
+      .map(node => [node.start, node.end]);
+
+    const normalized = [];
+    const raw = [];
+    const startLines = [];
+    const endLines = [];
+
+    (ast.tokens || []).forEach(token => {
+      const label = typeof token.type === 'object' ? token.type.label : token.type;
+      if (SKIPPED_TOKENS.includes(label)) return;
+      if (skipped.some(([start, end]) => token.start >= start && token.end <= end)) return;
+
+      const value = token.value === undefined ? '' : String(token.value);
+      raw.push(this.tokenId(`${label}:${value}`));
+      normalized.push(label === 'name' ? this.tokenId('name') : this.tokenId(`${label}:${value}`));
+      startLines.push(token.loc.start.line);
+      endLines.push(token.loc.end.line);
+    });
+
+    if (normalized.length >= this.minTokens) {
+      this.files.push({ filePath, normalized, raw, startLines, endLines });
+    }
+  }
+
+  windowsEqual(a, aStart, b, bStart, length) {
+    for (let i = 0; i < length; i++) {
+      if (a[aStart + i] !== b[bStart + i]) return false;
+    }
+    return true;
+  }
+
+  // Clone groups: `{ type, tokens, lines, occurrences: [{ file, startLine, endLine }] }`
+  // where `type` is `exact` or `renamed`
+  findClones() {
+    const size = this.minTokens;
+    let power = 1;
+    for (let i = 1; i < size; i++) power = (power * HASH_BASE) % HASH_MODULUS;
+
+    const seen = new Map();
+    const pairs = [];
+
+    this.files.forEach((file, fileIndex) => {
+      const tokens = file.normalized;
+      let hash = 0;
+      let current = null;
+
+      for (let i = 0; i < tokens.length; i++) {
+        if (i >= size) {
+          hash = (hash - (tokens[i - size] * power) % HASH_MODULUS + HASH_MODULUS) % HASH_MODULUS;
+        }
+        hash = (hash * HASH_BASE + tokens[i]) % HASH_MODULUS;
+        if (i < size - 1) continue;
+
+        // Grow the current clone while the next token still matches
+        if (current) {
+          const source = this.files[current.source.fileIndex];
+          const sourceEnd = current.source.index + current.length;
+          const overlaps = current.source.fileIndex === fileIndex && sourceEnd >= current.start;
+          if (!overlaps && source.normalized[sourceEnd] === tokens[i]) {
+            current.length++;
+            continue;
+          }
+          current = null;
+        }
+
+        const start = i - size + 1;
+        const candidates = seen.get(hash) || [];
+        const match = candidates.find(candidate => {
+          const source = this.files[candidate.fileIndex];
+          // A region can't be a clone of itself or of a region it overlaps
+          if (candidate.fileIndex === fileIndex && candidate.index + size > start) return false;
+          return this.windowsEqual(source.normalized, candidate.index, tokens, start, size);
+        });
+
+        if (match) {
+          current = { source: match, fileIndex, start, length: size };
+          pairs.push(current);
+        } else {
+          candidates.push({ fileIndex, index: start });
+          seen.set(hash, candidates);
+        }
+      }
+    });
+
+    return this.groupPairs(pairs);
+  }
+
+  location(fileIndex, start, length) {
+    const file = this.files[fileIndex];
+    return {
+      file: file.filePath,
+      startLine: file.startLines[start],
+      endLine: file.endLines[start + length - 1]
+    };
+  }
+
+  // Copies of the same source region form one group
+  groupPairs(pairs) {
+    const groups = new Map();
+
+    pairs.forEach(pair => {
+      const { source } = pair;
+      const key = `${source.fileIndex}:${source.index}:${pair.length}`;
+      if (!groups.has(key)) {
+        const occurrence = this.location(source.fileIndex, source.index, pair.length);
+        groups.set(key, {
+          type: 'exact',
+          tokens: pair.length,
+          lines: occurrence.endLine - occurrence.startLine + 1,
+          occurrences: [occurrence]
+        });
+      }
+
+      const group = groups.get(key);
+      group.occurrences.push(this.location(pair.fileIndex, pair.start, pair.length));
+      const isExact = this.windowsEqual(
+        this.files[source.fileIndex].raw, source.index,
+        this.files[pair.fileIndex].raw, pair.start,
+        pair.length
+      );
+      if (!isExact) group.type = 'renamed';
+    });
+
+    return [...groups.values()].sort((a, b) => b.tokens - a.tokens);
+  }
+}
+
+module.exports = CloneDetector;
@@ -0,0 +1,176 @@
+const t = require('@babel/types');
+
+const LOOP_TYPES = [
+  'ForStatement', 'ForInStatement', 'ForOfStatement', 'WhileStatement', 'DoWhileStatement'
+];
+
+// Cyclomatic and cognitive complexity computed from the Babel AST. Nested
+// functions are measured on their own and do not add to their parent.
+class ComplexityAnalyzer {
+  // Child nodes of `node`, optionally skipping nested functions
+  children(node, includeNested) {
+    const children = [];
+    (t.VISITOR_KEYS[node.type] || []).forEach(key => {
+      const value = node[key];
+      [].concat(value || []).forEach(child => {
+        if (child && typeof child.type === 'string' &&
+            (includeNested || !t.isFunction(child))) {
+          children.push(child);
+        }
+      });
+    });
+    return children;
+  }
+
+  // 1 + one per decision point: branches, loops, cases, catches and
+  // short-circuit operators. `else if` is a single IfStatement.
+  cyclomatic(node, includeNested = false) {
+    let decisions = 0;
+    const walk = current => {
+      if (t.isIfStatement(current) || t.isConditionalExpression(current) ||
+          t.isCatchClause(current) || LOOP_TYPES.includes(current.type)) {
+        decisions++;
+      } else if (t.isSwitchCase(current) && current.test) {
+        decisions++;
+      } else if (t.isLogicalExpression(current)) {
+        decisions++;
+      }
+      this.children(current, includeNested).forEach(walk);
+    };
+
+    this.children(node, true).forEach(child => walk(child));
+    return decisions + 1;
+  }
+
+  // Cognitive complexity following the SonarSource definition: structural
+  // increments, extra weight for nesting, one per run of like logical operators
+  cognitive(node) {
+    let score = 0;
+
+    const walk = (current, nesting) => {
+      if (t.isFunction(current)) return;
+
+      if (t.isIfStatement(current)) {
+        score += 1 + nesting;
+        walkIf(current, nesting);
+        return;
+      }
+
+      if (LOOP_TYPES.includes(current.type) || t.isSwitchStatement(current) ||
+          t.isConditionalExpression(current) || t.isCatchClause(current)) {
+        score += 1 + nesting;
+        const bodyKeys = {
+          SwitchStatement: ['cases'],
+          ConditionalExpression: ['consequent', 'alternate'],
+          CatchClause: ['body']
+        }[current.type] || ['body'];
+        this.children(current).forEach(child => {
+          const isBody = bodyKeys.some(key => [].concat(current[key]).includes(child));
+          walk(child, isBody ? nesting + 1 : nesting);
+        });
+        return;
+      }
+
+      if ((t.isBreakStatement(current) || t.isContinueStatement(current)) && current.label) {
+        score += 1;
+      }
+
+      if (t.isLogicalExpression(current)) {
+        const operands = [];
+        const operators = [];
+        const flatten = expression => {
+          if (t.isLogicalExpression(expression) && !expression.extra?.parenthesized) {
+            flatten(expression.left);
+            operators.push(expression.operator);
+            flatten(expression.right);
+          } else {
+            operands.push(expression);
+          }
+        };
+        flatten(current.left);
+        operators.push(current.operator);
+        flatten(current.right);
+
+        score += operators.filter((operator, i) => operator !== operators[i - 1]).length;
+        operands.forEach(operand => walk(operand, nesting));
+        return;
+      }
+
+      this.children(current).forEach(child => walk(child, nesting));
+    };
+
+    // `else if` and `else` add one each, without a nesting increment
+    const walkIf = (ifNode, nesting) => {
+      walk(ifNode.test, nesting);
+      walk(ifNode.consequent, nesting + 1);
+      if (t.isIfStatement(ifNode.alternate)) {
+        score += 1;
+        walkIf(ifNode.alternate, nesting);
+      } else if (ifNode.alternate) {
+        score += 1;
+        walk(ifNode.alternate, nesting + 1);
+      }
+    };
+
+    this.children(node, true).forEach(child => walk(child, 0));
+    return score;
+  }
+
+  // Readable name for a function path: declarations, variables, methods,
+  // properties, assignments and callbacks (`items.map() callback`)
+  getFunctionName(path) {
+    const { node, parent } = path;
+
+    if (node.id) return node.id.name;
+    if (t.isObjectMethod(node) || t.isClassMethod(node) || t.isClassPrivateMethod(node)) {
+      return this.getKeyName(node.key, node.computed);
+    }
+    if (t.isVariableDeclarator(parent) && t.isIdentifier(parent.id)) return parent.id.name;
+    if ((t.isObjectProperty(parent) || t.isClassProperty(parent)) && parent.value === node) {
+      return this.getKeyName(parent.key, parent.computed);
+    }
+    if (t.isAssignmentExpression(parent) && parent.right === node) {
+      return this.getExpressionName(parent.left) || '<anonymous>';
+    }
+    if (t.isCallExpression(parent) && parent.arguments.includes(node)) {
+      const callee = this.getExpressionName(parent.callee);
+      if (callee) return `${callee}() callback`;
+    }
+    return '<anonymous>';
+  }
+
+  getKeyName(key, computed) {
+    if (!computed && t.isIdentifier(key)) return key.name;
+    if (t.isStringLiteral(key) || t.isNumericLiteral(key)) return String(key.value);
+    if (t.isPrivateName(key)) return `#${key.id.name}`;
+    return '<computed>';
+  }
+
+  getExpressionName(node) {
+    if (t.isIdentifier(node)) return node.name;
+    if (t.isThisExpression(node)) return 'this';
+    if (t.isMemberExpression(node) && !node.computed) {
+      const object = this.getExpressionName(node.object);
+      return object ? `${object}.${node.property.name}` : node.property.name;
+    }
+    if (t.isCallExpression(node)) {
+      // Chained calls (`a.filter().map()`) are named by their last member
+      return this.getExpressionName(node.callee);
+    }
+    return null;
+  }
+
+  // Metrics of one function path
+  measureFunction(path) {
+    const { node } = path;
+    return {
+      name: this.getFunctionName(path),
+      line: node.loc?.start.line,
+      endLine: node.loc?.end.line,
+      cyclomatic: this.cyclomatic(node),
+      cognitive: this.cognitive(node)
+    };
+  }
+}
+
+module.exports = ComplexityAnalyzer;
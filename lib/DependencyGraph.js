@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+
+const RESOLVE_EXTENSIONS = ['.js', '.jsx', '.ts', '.tsx', '.mjs', '.cjs', '.vue', '.svelte', '.json'];
+
+// Project-wide module graph built from each file's imports, re-exports,
+// `require()` calls and dynamic `import()`s. Only relative and absolute
+// specifiers are resolved; packages are left to the bundle analysis.
+class DependencyGraph {
+  constructor(options = {}) {
+    this.extensions = options.extensions || RESOLVE_EXTENSIONS;
+    this.edges = new Map();
+    this.modules = new Map();
+    this.resolved = new Map();
+  }
+
+  isFile(filePath) {
+    try {
+      return fs.statSync(filePath).isFile();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Absolute path a specifier points to, like Node and bundlers resolve it:
+  // exact file, file plus extension, then directory index
+  resolve(fromFile, source) {
+    if (!source.startsWith('.') && !path.isAbsolute(source)) return null;
+
+    const base = path.resolve(path.dirname(fromFile), source);
+    if (this.resolved.has(base)) return this.resolved.get(base);
+
+    const candidates = [
+      base,
+      ...this.extensions.map(ext => base + ext),
+      ...this.extensions.map(ext => path.join(base, `index${ext}`))
+    ];
+    // `./util.js` written in TypeScript sources refers to `util.ts`
+    const ext = path.extname(base);
+    if (['.js', '.jsx', '.mjs', '.cjs'].includes(ext)) {
+      const stem = base.slice(0, -ext.length);
+      candidates.push(`${stem}.ts`, `${stem}.tsx`);
+    }
+
+    const target = candidates.find(candidate => this.isFile(candidate)) || null;
+    this.resolved.set(base, target);
+    return target;
+  }
+
+  // `module`: `{ dependencies, exports, commonJS }` as collected by the
+  // analyzer's bundle impact pass
+  addFile(filePath, module) {
+    const from = path.resolve(filePath);
+    const edges = [];
+
+    module.dependencies.forEach(dependency => {
+      const to = this.resolve(from, dependency.source);
+      if (to) edges.push({ ...dependency, to });
+    });
+
+    this.edges.set(from, edges);
+    this.modules.set(from, { exports: module.exports, commonJS: module.commonJS });
+  }
+
+  // Strongly connected components (Tarjan) of two or more files, plus files
+  // that import themselves
+  stronglyConnected() {
+    const indexes = new Map();
+    const lowLinks = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const components = [];
+    let index = 0;
+
+    const visit = node => {
+      indexes.set(node, index);
+      lowLinks.set(node, index);
+      index++;
+      stack.push(node);
+      onStack.add(node);
+    };
+
+    // Iterative, so long import chains can't overflow the call stack: each
+    // frame is a file and the position of the next import to follow
+    const connect = root => {
+      visit(root);
+      const frames = [{ node: root, next: 0 }];
+
+      while (frames.length > 0) {
+        const frame = frames[frames.length - 1];
+        const { node } = frame;
+        const edges = this.edges.get(node) || [];
+
+        if (frame.next < edges.length) {
+          const { to } = edges[frame.next++];
+          if (!indexes.has(to)) {
+            visit(to);
+            frames.push({ node: to, next: 0 });
+          } else if (onStack.has(to)) {
+            lowLinks.set(node, Math.min(lowLinks.get(node), indexes.get(to)));
+          }
+          continue;
+        }
+
+        frames.pop();
+        if (frames.length > 0) {
+          const parent = frames[frames.length - 1].node;
+          lowLinks.set(parent, Math.min(lowLinks.get(parent), lowLinks.get(node)));
+        }
+
+        if (lowLinks.get(node) === indexes.get(node)) {
+          const component = [];
+          let member;
+          do {
+            member = stack.pop();
+            onStack.delete(member);
+            component.push(member);
+          } while (member !== node);
+
+          const selfImport = edges.some(({ to }) => to === node);
+          if (component.length > 1 || selfImport) components.push(component);
+        }
+      }
+    };
+
+    [...this.edges.keys()].forEach(node => {
+      if (!indexes.has(node)) connect(node);
+    });
+
+    return components;
+  }
+
+  // Shortest cycle through `start` that stays inside its component
+  shortestCycle(start, members) {
+    const previous = new Map([[start, null]]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+      const node = queue.shift();
+      for (const edge of this.edges.get(node) || []) {
+        if (edge.to === start) {
+          const cycle = [{ file: node, edge }];
+          let step = node;
+          while (previous.get(step)) {
+            const link = previous.get(step);
+            cycle.unshift({ file: link.file, edge: link.edge });
+            step = link.file;
+          }
+          return cycle;
+        }
+        if (members.has(edge.to) && !previous.has(edge.to)) {
+          previous.set(edge.to, { file: node, edge });
+          queue.push(edge.to);
+        }
+      }
+    }
+    return null;
+  }
+
+  // Circular import chains; every file of a cycle is covered by at least
+  // one reported cycle. Each cycle lists its steps and the import edges.
+  findCycles() {
+    const cycles = [];
+    const seen = new Set();
+
+    this.stronglyConnected().forEach(component => {
+      const members = new Set(component);
+      component.forEach(file => {
+        const cycle = this.shortestCycle(file, members);
+        if (!cycle) return;
+
+        // The same cycle is found from each of its files; keep one rotation
+        const files = cycle.map(step => step.file);
+        const key = [...files].sort().join('\n');
+        if (seen.has(key)) return;
+        seen.add(key);
+
+        cycles.push({
+          files: [...files, files[0]],
+          edges: cycle.map(({ file, edge }) => ({
+            from: file,
+            to: edge.to,
+            kind: edge.kind,
+            line: edge.line
+          })),
+          dynamic: cycle.some(({ edge }) => edge.kind === 'dynamic')
+        });
+      });
+    });
+
+    return cycles;
+  }
+
+  // Files reachable from the entry points through any kind of edge
+  reachableFrom(entries) {
+    const reachable = new Set();
+    const queue = entries.filter(entry => this.edges.has(entry));
+
+    while (queue.length > 0) {
+      const file = queue.shift();
+      if (reachable.has(file)) continue;
+      reachable.add(file);
+      (this.edges.get(file) || []).forEach(({ to }) => queue.push(to));
+    }
+
+    return reachable;
+  }
+
+  // Export names used by other files, following re-exports. Files whose
+  // exports are used as a whole (entry points, namespace imports, require(),
+  // import()) are in `usedAll`.
+  usedExports(entries = []) {
+    const used = new Map();
+    const usedAll = new Set();
+    const visited = new Set();
+
+    const markUsed = (file, name) => {
+      const key = `${file}\n${name}`;
+      if (visited.has(key) || !this.modules.has(file)) return;
+      visited.add(key);
+
+      const edges = this.edges.get(file) || [];
+      if (name === '*') {
+        usedAll.add(file);
+        edges.filter(edge => edge.kind === 'export').forEach(edge => {
+          (edge.exportAll ? ['*'] : edge.names).forEach(local => markUsed(edge.to, local));
+        });
+        return;
+      }
+
+      if (!used.has(file)) used.set(file, new Set());
+      used.get(file).add(name);
+
+      // Names this file re-exports belong to the target module
+      edges.forEach(edge => {
+        (edge.reexports || [])
+          .filter(reexport => reexport.exported === name)
+          .forEach(reexport => markUsed(edge.to, reexport.local));
+        if (edge.exportAll && name !== 'default') markUsed(edge.to, name);
+      });
+    };
+
+    entries.forEach(entry => markUsed(entry, '*'));
+    this.edges.forEach(edges => {
+      edges
+        .filter(edge => !edge.exportAll && !edge.reexports)
+        .forEach(edge => edge.names.forEach(name => markUsed(edge.to, name)));
+    });
+
+    return { used, usedAll };
+  }
+
+  // Analyzed files no entry point reaches, and named exports of reachable
+  // files that nothing imports. Entry files are public API, so their exports
+  // (and what they re-export) always count as used; so do CommonJS modules,
+  // whose exports are dynamic.
+  findUnused(entries) {
+    const reachable = this.reachableFrom(entries);
+    const { used, usedAll } = this.usedExports(entries);
+
+    const unusedFiles = [...this.edges.keys()].filter(file => !reachable.has(file));
+    const unusedExports = [];
+
+    reachable.forEach(file => {
+      const module = this.modules.get(file);
+      if (!module || module.commonJS || usedAll.has(file)) return;
+
+      const usedNames = used.get(file) || new Set();
+      module.exports
+        .filter(({ name }) => !usedNames.has(name))
+        .forEach(({ name, line }) => unusedExports.push({ file, name, line }));
+    });
+
+    return { unusedFiles, unusedExports };
+  }
+}
+
+module.exports = DependencyGraph;
@@ -0,0 +1,122 @@
+const CONTEXT_LINES = 3;
+
+// Line diffs (Myers' O(ND) algorithm) rendered as unified diffs, for
+// reviewing fixes before they are written
+class Diff {
+  // Edit script from `a` to `b`: `{ type: 'equal' | 'delete' | 'insert', line }`
+  lines(a, b) {
+    // Common prefix and suffix are cheap to strip and keep the search small
+    let prefix = 0;
+    while (prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < a.length - prefix && suffix < b.length - prefix &&
+           a[a.length - 1 - suffix] === b[b.length - 1 - suffix]) {
+      suffix++;
+    }
+
+    const middle = this.myers(a.slice(prefix, a.length - suffix), b.slice(prefix, b.length - suffix));
+    return [
+      ...a.slice(0, prefix).map(line => ({ type: 'equal', line })),
+      ...middle,
+      ...a.slice(a.length - suffix).map(line => ({ type: 'equal', line }))
+    ];
+  }
+
+  myers(a, b) {
+    const max = a.length + b.length;
+    const offset = max + 1;
+    const v = new Array(2 * max + 3).fill(0);
+    const trace = [];
+
+    for (let d = 0; d <= max; d++) {
+      trace.push(v.slice());
+      for (let k = -d; k <= d; k += 2) {
+        let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+        let y = x - k;
+        while (x < a.length && y < b.length && a[x] === b[y]) {
+          x++;
+          y++;
+        }
+        v[offset + k] = x;
+        if (x >= a.length && y >= b.length) return this.backtrack(trace, a, b, offset);
+      }
+    }
+    return [];
+  }
+
+  backtrack(trace, a, b, offset) {
+    const script = [];
+    let x = a.length;
+    let y = b.length;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+      const v = trace[d];
+      const k = x - y;
+      const previousK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1;
+      const previousX = v[offset + previousK];
+      const previousY = previousX - previousK;
+
+      while (x > previousX && y > previousY) {
+        script.unshift({ type: 'equal', line: a[--x] });
+        y--;
+      }
+      if (d === 0) break;
+      if (x === previousX) script.unshift({ type: 'insert', line: b[--y] });
+      else script.unshift({ type: 'delete', line: a[--x] });
+    }
+    return script;
+  }
+
+  // Unified diff of two versions of `fileName`; empty when they are equal
+  unified(before, after, fileName) {
+    if (before === after) return '';
+
+    const split = text => (text === '' ? [] : text.replace(/\n$/, '').split('\n'));
+    const script = this.lines(split(before), split(after));
+    // Line numbers of each edit in the old and new file
+    let oldLine = 1;
+    let newLine = 1;
+    const numbered = script.map(edit => {
+      const entry = { ...edit, oldLine, newLine };
+      if (edit.type !== 'insert') oldLine++;
+      if (edit.type !== 'delete') newLine++;
+      return entry;
+    });
+
+    const changes = numbered
+      .map((edit, index) => (edit.type === 'equal' ? -1 : index))
+      .filter(index => index !== -1);
+
+    // Changes closer than twice the context share a hunk
+    const hunks = [];
+    changes.forEach(index => {
+      const last = hunks[hunks.length - 1];
+      if (last && index - last.end <= CONTEXT_LINES * 2 + 1) last.end = index;
+      else hunks.push({ start: index, end: index });
+    });
+
+    const output = [`--- a/${fileName}`, `+++ b/${fileName}`];
+    hunks.forEach(({ start, end }) => {
+      const edits = numbered.slice(
+        Math.max(0, start - CONTEXT_LINES),
+        Math.min(numbered.length, end + CONTEXT_LINES + 1)
+      );
+      const oldCount = edits.filter(edit => edit.type !== 'insert').length;
+      const newCount = edits.filter(edit => edit.type !== 'delete').length;
+      const oldStart = oldCount > 0 ? edits.find(edit => edit.type !== 'insert').oldLine : edits[0].oldLine - 1;
+      const newStart = newCount > 0 ? edits.find(edit => edit.type !== 'delete').newLine : edits[0].newLine - 1;
+
+      output.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+      edits.forEach(edit => {
+        const marker = { equal: ' ', delete: '-', insert: '+' }[edit.type];
+        output.push(`${marker}${edit.line}`);
+      });
+    });
+
+    return `${output.join('\n')}\n`;
+  }
+}
+
+module.exports = Diff;
@@ -0,0 +1,155 @@
+const t = require('@babel/types');
+
+// Operator symbol for node types that always represent the same operator
+const NODE_OPERATORS = {
+  CallExpression: '()',
+  OptionalCallExpression: '?.()',
+  NewExpression: 'new',
+  ConditionalExpression: '?:',
+  ForStatement: 'for',
+  ForInStatement: 'for...in',
+  ForOfStatement: 'for...of',
+  WhileStatement: 'while',
+  DoWhileStatement: 'do...while',
+  ReturnStatement: 'return',
+  ThrowStatement: 'throw',
+  TryStatement: 'try',
+  CatchClause: 'catch',
+  SwitchStatement: 'switch',
+  BreakStatement: 'break',
+  ContinueStatement: 'continue',
+  FunctionDeclaration: 'function',
+  FunctionExpression: 'function',
+  ArrowFunctionExpression: '=>',
+  ObjectMethod: 'function',
+  ClassMethod: 'function',
+  ClassPrivateMethod: 'function',
+  ClassDeclaration: 'class',
+  ClassExpression: 'class',
+  AwaitExpression: 'await',
+  YieldExpression: 'yield',
+  SpreadElement: '...',
+  RestElement: '...',
+  ObjectExpression: '{}',
+  ObjectPattern: '{}',
+  ArrayExpression: '[]',
+  ArrayPattern: '[]',
+  ObjectProperty: ':',
+  AssignmentPattern: '=',
+  TemplateLiteral: '``',
+  TaggedTemplateExpression: 'tag``',
+  SequenceExpression: ',',
+  ImportDeclaration: 'import',
+  ExportNamedDeclaration: 'export',
+  ExportDefaultDeclaration: 'export default',
+  JSXElement: '<>',
+  JSXFragment: '<>',
+  JSXAttribute: '=',
+  JSXExpressionContainer: '{}'
+};
+
+const round = value => Math.round(value * 100) / 100;
+
+// Halstead operators/operands counted from the Babel AST, and the
+// maintainability index derived from them. Like ComplexityAnalyzer, nested
+// functions are left out of a function's own counts.
+class HalsteadAnalyzer {
+  // Operator symbol of a node, or null when the node is not an operator
+  getOperator(node) {
+    if (node.operator) {
+      // Postfix `i++` and prefix `++i` are different operators
+      return t.isUpdateExpression(node) && !node.prefix ? `x${node.operator}` : node.operator;
+    }
+    if (t.isMemberExpression(node) || t.isOptionalMemberExpression(node)) {
+      return `${node.optional ? '?' : ''}${node.computed ? '[]' : '.'}`;
+    }
+    if (t.isIfStatement(node)) return node.alternate ? 'if...else' : 'if';
+    if (t.isSwitchCase(node)) return node.test ? 'case' : 'default';
+    if (t.isVariableDeclaration(node)) return node.kind;
+    if (t.isVariableDeclarator(node)) return node.init ? '=' : null;
+    return NODE_OPERATORS[node.type] || null;
+  }
+
+  // Operand key of a node, or null when the node is not an operand
+  getOperand(node) {
+    if (t.isIdentifier(node) || t.isJSXIdentifier(node)) return node.name;
+    if (t.isPrivateName(node)) return `#${node.id.name}`;
+    if (t.isThisExpression(node)) return 'this';
+    if (t.isSuper(node)) return 'super';
+    if (t.isNullLiteral(node)) return 'null';
+    if (t.isRegExpLiteral(node)) return `/${node.pattern}/${node.flags}`;
+    if (t.isStringLiteral(node) || t.isNumericLiteral(node) ||
+        t.isBooleanLiteral(node) || t.isBigIntLiteral(node)) {
+      return `${node.type}:${node.value}`;
+    }
+    if (t.isTemplateElement(node) && node.value.raw) return `template:${node.value.raw}`;
+    if (t.isJSXText(node) && node.value.trim()) return `text:${node.value.trim()}`;
+    return null;
+  }
+
+  count(root, includeNested) {
+    const operators = new Map();
+    const operands = new Map();
+    const add = (map, key) => map.set(key, (map.get(key) || 0) + 1);
+
+    const walk = node => {
+      const operator = this.getOperator(node);
+      const operand = operator ? null : this.getOperand(node);
+      if (operator) add(operators, operator);
+      if (operand) add(operands, operand);
+
+      (t.VISITOR_KEYS[node.type] || []).forEach(key => {
+        [].concat(node[key] || []).forEach(child => {
+          if (child && typeof child.type === 'string' &&
+              (includeNested || !t.isFunction(child))) {
+            walk(child);
+          }
+        });
+      });
+    };
+    walk(root);
+
+    const sum = map => [...map.values()].reduce((total, value) => total + value, 0);
+    return {
+      distinctOperators: operators.size,
+      distinctOperands: operands.size,
+      totalOperators: sum(operators),
+      totalOperands: sum(operands)
+    };
+  }
+
+  // Vocabulary, length, volume, difficulty, effort, time (s) and bugs
+  measure(node, includeNested = false) {
+    const counts = this.count(node, includeNested);
+    const { distinctOperators: n1, distinctOperands: n2, totalOperators: N1, totalOperands: N2 } = counts;
+
+    const vocabulary = n1 + n2;
+    const length = N1 + N2;
+    const volume = vocabulary > 0 ? length * Math.log2(vocabulary) : 0;
+    const difficulty = n2 > 0 ? (n1 / 2) * (N2 / n2) : 0;
+    const effort = difficulty * volume;
+
+    return {
+      ...counts,
+      vocabulary,
+      length,
+      volume: round(volume),
+      difficulty: round(difficulty),
+      effort: round(effort),
+      time: round(effort / 18),
+      bugs: round(volume / 3000)
+    };
+  }
+
+  // Maintainability index on the 0-100 scale used by Visual Studio:
+  // below 10 is hard to maintain, 10-19 moderate, 20 and above good
+  maintainabilityIndex(volume, cyclomatic, lines) {
+    const raw = 171 -
+      5.2 * Math.log(Math.max(volume, 1)) -
+      0.23 * cyclomatic -
+      16.2 * Math.log(Math.max(lines, 1));
+    return round(Math.max(0, Math.min(100, raw * 100 / 171)));
+  }
+}
+
+module.exports = HalsteadAnalyzer;
@@ -0,0 +1,63 @@
+const fs = require('fs');
+const PluginLoader = require('./PluginLoader');
+const bundled = require('./data/libraries.json');
+
+const SCHEMA_VERSION = 1;
+
+// Heavy, replaceable and banned packages keyed by exact package name. Entries:
+// `{ size, esm, maxSize, alternatives, migration, banned, reason }`. The bundled
+// list is extended by shared `libraryLists` and then by `libraries` from the
+// config; later entries override earlier ones field by field.
+class LibraryDatabase {
+  constructor(rootDir = process.cwd()) {
+    this.loader = new PluginLoader(rootDir);
+    this.libraries = new Map();
+    this.version = bundled.updated;
+    this.add(bundled.libraries);
+  }
+
+  add(libraries) {
+    Object.entries(libraries).forEach(([name, entry]) => {
+      this.libraries.set(name, { ...this.libraries.get(name), ...entry });
+    });
+  }
+
+  // Shared list from a local JSON file or an npm package:
+  // `{ "version": 1, "libraries": { ... } }`
+  loadList(specifier) {
+    const list = JSON.parse(fs.readFileSync(this.loader.resolve(specifier), 'utf8'));
+    if (list.version !== SCHEMA_VERSION) {
+      throw new Error(`Unsupported list version ${list.version} (expected ${SCHEMA_VERSION})`);
+    }
+    if (!list.libraries || typeof list.libraries !== 'object') {
+      throw new Error('Library lists must have a `libraries` object');
+    }
+    this.add(list.libraries);
+  }
+
+  // Applies `libraryLists` and `libraries` from the config; returns problems
+  configure(lists = [], libraries = {}) {
+    const problems = [];
+
+    lists.forEach(specifier => {
+      try {
+        this.loadList(specifier);
+      } catch (error) {
+        const [reason] = error.message.split('\n');
+        problems.push(`Failed to load library list "${specifier}": ${reason}`);
+      }
+    });
+    this.add(libraries);
+
+    return problems;
+  }
+
+  // Entry for an import: the full specifier first (`lodash/fp`), then its
+  // package name. `name` is the key that matched.
+  get(source, packageName) {
+    const name = [source, packageName].find(key => key && this.libraries.has(key));
+    return name ? { name, ...this.libraries.get(name) } : null;
+  }
+}
+
+module.exports = LibraryDatabase;
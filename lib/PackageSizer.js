@@ -0,0 +1,381 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { builtinModules } = require('module');
+const ts = require('typescript');
+
+const ENTRY_EXTENSIONS = ['.js', '.mjs', '.cjs', '.json'];
+// Conditions a browser bundler matches in `exports`, checked in key order
+const EXPORT_CONDITIONS = ['browser', 'module', 'import', 'require', 'default'];
+// Static imports and requires; dynamic `import()` is split into its own chunk
+const SPECIFIER_PATTERNS = [
+  /\brequire\s*\(\s*(['"])([^'"\n]+)\1\s*\)/g,
+  /(?:\bfrom|^\s*import)\s*(['"])([^'"\n]+)\1/gm
+];
+const MAX_FILES = 5000;
+const EQUALITY_OPERATORS = new Map([
+  [ts.SyntaxKind.EqualsEqualsToken, true],
+  [ts.SyntaxKind.EqualsEqualsEqualsToken, true],
+  [ts.SyntaxKind.ExclamationEqualsToken, false],
+  [ts.SyntaxKind.ExclamationEqualsEqualsToken, false]
+]);
+
+// Tokens that can end an expression, so a following `/` is division
+const EXPRESSION_END = new Set([
+  ts.SyntaxKind.Identifier, ts.SyntaxKind.PrivateIdentifier,
+  ts.SyntaxKind.NumericLiteral, ts.SyntaxKind.BigIntLiteral, ts.SyntaxKind.StringLiteral,
+  ts.SyntaxKind.RegularExpressionLiteral, ts.SyntaxKind.NoSubstitutionTemplateLiteral,
+  ts.SyntaxKind.TemplateTail, ts.SyntaxKind.CloseParenToken, ts.SyntaxKind.CloseBracketToken,
+  ts.SyntaxKind.PlusPlusToken, ts.SyntaxKind.MinusMinusToken,
+  ts.SyntaxKind.ThisKeyword, ts.SyntaxKind.SuperKeyword, ts.SyntaxKind.TrueKeyword,
+  ts.SyntaxKind.FalseKeyword, ts.SyntaxKind.NullKeyword
+]);
+
+// Installed size of npm packages: the entry file an import resolves to plus
+// everything it statically pulls in, following the package's production
+// dependencies. Minified and gzip sizes are estimated offline from the
+// source with comments and whitespace removed.
+class PackageSizer {
+  constructor() {
+    this.packages = new Map();
+    this.measurements = new Map();
+    this.files = new Map();
+  }
+
+  // `{ name, subpath }` of a bare package specifier; null for relative
+  // paths, URLs and Node built-ins
+  parseSpecifier(source) {
+    if (source.startsWith('.') || path.isAbsolute(source) || source.includes(':')) return null;
+
+    const parts = source.split('/');
+    const name = source.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+    if (!name || builtinModules.includes(name)) return null;
+
+    return { name, subpath: source.slice(name.length + 1) };
+  }
+
+  // Directory and manifest of `name` as Node resolves it from `fromDir`
+  findPackage(name, fromDir) {
+    let dir = path.resolve(fromDir);
+    while (true) {
+      const packageDir = path.join(dir, 'node_modules', name);
+      if (!this.packages.has(packageDir)) {
+        this.packages.set(packageDir, this.readManifest(packageDir));
+      }
+      const manifest = this.packages.get(packageDir);
+      if (manifest) return { dir: packageDir, manifest };
+
+      const parent = path.dirname(dir);
+      if (parent === dir) return null;
+      dir = parent;
+    }
+  }
+
+  readManifest(packageDir) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(packageDir, 'package.json'), 'utf8'));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  isFile(filePath) {
+    try {
+      return fs.statSync(filePath).isFile();
+    } catch (error) {
+      return false;
+    }
+  }
+
+  resolveFile(base) {
+    const candidates = [
+      base,
+      ...ENTRY_EXTENSIONS.map(ext => base + ext),
+      ...ENTRY_EXTENSIONS.map(ext => path.join(base, `index${ext}`))
+    ];
+    return candidates.find(candidate => this.isFile(candidate)) || null;
+  }
+
+  // Target of an `exports` value for the bundler conditions
+  pickCondition(target) {
+    if (typeof target === 'string') return target;
+    if (Array.isArray(target)) {
+      return target.map(item => this.pickCondition(item)).find(Boolean) || null;
+    }
+    if (target && typeof target === 'object') {
+      const key = Object.keys(target).find(condition => EXPORT_CONDITIONS.includes(condition));
+      return key ? this.pickCondition(target[key]) : null;
+    }
+    return null;
+  }
+
+  // File an `exports` map points `subpath` to, including `./*` patterns
+  resolveExports(exportsField, subpath) {
+    const isSubpathMap = typeof exportsField === 'object' && !Array.isArray(exportsField) &&
+      Object.keys(exportsField).some(key => key.startsWith('.'));
+    const map = isSubpathMap ? exportsField : { '.': exportsField };
+    const request = subpath ? `./${subpath}` : '.';
+
+    if (map[request] !== undefined) return this.pickCondition(map[request]);
+
+    for (const [key, value] of Object.entries(map)) {
+      const star = key.indexOf('*');
+      if (star === -1) continue;
+      const [prefix, suffix] = [key.slice(0, star), key.slice(star + 1)];
+      if (request.startsWith(prefix) && request.endsWith(suffix) && request.length >= key.length - 1) {
+        const match = request.slice(prefix.length, request.length - suffix.length);
+        const target = this.pickCondition(value);
+        return target && target.split('*').join(match);
+      }
+    }
+    return null;
+  }
+
+  // Entry file of a package for `subpath` (`debounce` in `lodash/debounce`)
+  resolveEntry({ dir, manifest }, subpath) {
+    if (manifest.exports) {
+      const target = this.resolveExports(manifest.exports, subpath);
+      return target ? this.resolveFile(path.join(dir, target)) : null;
+    }
+    if (subpath) return this.resolveFile(path.join(dir, subpath));
+
+    const browser = typeof manifest.browser === 'string' ? manifest.browser : null;
+    const main = manifest.module || browser || manifest.main || 'index.js';
+    return this.resolveFile(path.join(dir, main)) || this.resolveFile(path.join(dir, 'index'));
+  }
+
+  // Entry file `source` resolves to from `fromDir`, or null when the package
+  // or the subpath doesn't exist
+  resolve(source, fromDir) {
+    const specifier = this.parseSpecifier(source);
+    const found = specifier && this.findPackage(specifier.name, fromDir);
+    return found ? this.resolveEntry(found, specifier.subpath) : null;
+  }
+
+  // Whether an `exports` value offers an ES module build
+  hasModuleCondition(target) {
+    if (typeof target === 'string') return target.endsWith('.mjs');
+    if (Array.isArray(target)) return target.some(item => this.hasModuleCondition(item));
+    if (target && typeof target === 'object') {
+      return Object.entries(target).some(([key, value]) =>
+        key === 'import' || key === 'module' || this.hasModuleCondition(value));
+    }
+    return false;
+  }
+
+  // Module formats the package of `source` ships, from its manifest:
+  // `{ name, subpath, version, esm, sideEffects }`, or null when it is not
+  // installed. `sideEffects` is the manifest field (true when missing).
+  describe(source, fromDir) {
+    const specifier = this.parseSpecifier(source);
+    const found = specifier && this.findPackage(specifier.name, fromDir);
+    if (!found) return null;
+
+    const { manifest } = found;
+    return {
+      name: specifier.name,
+      subpath: specifier.subpath,
+      version: manifest.version || null,
+      esm: Boolean(manifest.module) || manifest.type === 'module' ||
+        this.hasModuleCondition(manifest.exports),
+      sideEffects: manifest.sideEffects === undefined ? true : manifest.sideEffects
+    };
+  }
+
+  // Size of the package `source` resolves to from `fromDir`:
+  // `{ name, version, entry, files, raw, minified, gzip }` in bytes, or null
+  // when it is not installed
+  measure(source, fromDir) {
+    const specifier = this.parseSpecifier(source);
+    if (!specifier) return null;
+
+    const found = this.findPackage(specifier.name, fromDir);
+    if (!found) return null;
+
+    const entry = this.resolveEntry(found, specifier.subpath);
+    if (!entry) return null;
+
+    if (!this.measurements.has(entry)) {
+      this.measurements.set(entry, {
+        name: source,
+        version: found.manifest.version || null,
+        entry,
+        ...this.measureClosure(entry, found)
+      });
+    }
+    return this.measurements.get(entry);
+  }
+
+  // Every file reachable from `entry` through static imports and requires.
+  // Packages are followed only when the importing package lists them in its
+  // `dependencies`; peer dependencies belong to the app.
+  measureClosure(entry, entryPackage) {
+    const seen = new Set([entry]);
+    const queue = [{ file: entry, pkg: entryPackage }];
+    const minifiedSources = [];
+    let raw = 0;
+    let minified = 0;
+
+    while (queue.length > 0 && seen.size <= MAX_FILES) {
+      const { file, pkg } = queue.shift();
+      const content = this.readSource(file);
+      if (!content) continue;
+
+      raw += content.raw;
+      minified += Buffer.byteLength(content.minified);
+      minifiedSources.push(content.minified);
+
+      const production = {
+        ...pkg.manifest.optionalDependencies,
+        ...pkg.manifest.dependencies
+      };
+      content.specifiers.forEach(specifier => {
+        let next = null;
+        let nextPackage = pkg;
+
+        if (specifier.startsWith('.')) {
+          next = this.resolveFile(path.resolve(path.dirname(file), specifier));
+        } else {
+          const parsed = this.parseSpecifier(specifier);
+          if (!parsed || !production[parsed.name]) return;
+          nextPackage = this.findPackage(parsed.name, pkg.dir);
+          next = nextPackage && this.resolveEntry(nextPackage, parsed.subpath);
+        }
+
+        if (next && !seen.has(next)) {
+          seen.add(next);
+          queue.push({ file: next, pkg: nextPackage });
+        }
+      });
+    }
+
+    const gzip = zlib.gzipSync(minifiedSources.join('\n'), { level: 9 }).length;
+    return { files: seen.size, raw, minified, gzip };
+  }
+
+  // Raw size, minified text and import specifiers of one file, cached
+  // because packages share dependencies
+  readSource(file) {
+    if (this.files.has(file)) return this.files.get(file);
+
+    let content = null;
+    try {
+      const code = fs.readFileSync(file, 'utf8');
+      const specifiers = [];
+      if (path.extname(file) !== '.json') {
+        // Builds are measured as production builds: `react.development.js`
+        // is left out
+        const development = code.includes('NODE_ENV') ? this.developmentRanges(code, file) : [];
+        SPECIFIER_PATTERNS.forEach(pattern => {
+          for (const match of code.matchAll(pattern)) {
+            if (!development.some(([start, end]) => match.index >= start && match.index < end)) {
+              specifiers.push(match[2]);
+            }
+          }
+        });
+      }
+      content = {
+        raw: Buffer.byteLength(code),
+        minified: path.extname(file) === '.json' ? this.minifyJSON(code) : this.minify(code),
+        specifiers
+      };
+    } catch (error) {
+      content = null;
+    }
+
+    this.files.set(file, content);
+    return content;
+  }
+
+  // Whether a `process.env.NODE_ENV === 'production'` style condition holds
+  // in a production build; null for any other condition
+  isProductionCondition(node, sourceFile) {
+    while (ts.isParenthesizedExpression(node)) node = node.expression;
+    if (!ts.isBinaryExpression(node) || !EQUALITY_OPERATORS.has(node.operatorToken.kind)) return null;
+
+    const isNodeEnv = side => side.getText(sourceFile).replace(/\s+/g, '') === 'process.env.NODE_ENV';
+    const value = [node.left, node.right].find(side => ts.isStringLiteralLike(side));
+    const other = value === node.left ? node.right : node.left;
+    if (!value || !isNodeEnv(other)) return null;
+    return (value.text === 'production') === EQUALITY_OPERATORS.get(node.operatorToken.kind);
+  }
+
+  // `[start, end]` offsets of the branches of NODE_ENV checks (`if` and
+  // `? :`) that only run outside production builds
+  developmentRanges(code, file) {
+    const sourceFile = ts.createSourceFile(file, code, ts.ScriptTarget.Latest, false, ts.ScriptKind.JS);
+    const ranges = [];
+    const visit = node => {
+      if (ts.isIfStatement(node) || ts.isConditionalExpression(node)) {
+        const [condition, whenTrue, whenFalse] = ts.isIfStatement(node)
+          ? [node.expression, node.thenStatement, node.elseStatement]
+          : [node.condition, node.whenTrue, node.whenFalse];
+        const production = this.isProductionCondition(condition, sourceFile);
+        const skipped = production === null ? null : production ? whenFalse : whenTrue;
+        if (skipped) ranges.push([skipped.pos, skipped.end]);
+      }
+      ts.forEachChild(node, visit);
+    };
+    visit(sourceFile);
+    return ranges;
+  }
+
+  minifyJSON(code) {
+    try {
+      return JSON.stringify(JSON.parse(code));
+    } catch (error) {
+      return code;
+    }
+  }
+
+  // Source with comments and insignificant whitespace removed. Identifiers
+  // are not mangled, so this slightly overestimates a real minifier.
+  minify(code) {
+    const scanner = ts.createScanner(ts.ScriptTarget.Latest, true, ts.LanguageVariant.Standard, code);
+    // Open braces inside each `${...}` of the templates being scanned
+    const templates = [];
+    const output = [];
+    let last = '';
+    let previous = null;
+    let token;
+
+    while ((token = scanner.scan()) !== ts.SyntaxKind.EndOfFileToken) {
+      if ((token === ts.SyntaxKind.SlashToken || token === ts.SyntaxKind.SlashEqualsToken) &&
+          !EXPRESSION_END.has(previous)) {
+        token = scanner.reScanSlashToken();
+      } else if (token === ts.SyntaxKind.OpenBraceToken && templates.length > 0) {
+        templates[templates.length - 1]++;
+      } else if (token === ts.SyntaxKind.CloseBraceToken && templates.length > 0) {
+        if (templates[templates.length - 1] === 0) {
+          templates.pop();
+          token = scanner.reScanTemplateToken(false);
+        } else {
+          templates[templates.length - 1]--;
+        }
+      }
+      if (token === ts.SyntaxKind.TemplateHead || token === ts.SyntaxKind.TemplateMiddle) {
+        templates.push(0);
+      }
+
+      const text = scanner.getTokenText();
+      // Keep a separator where joining would merge two tokens
+      if (/[\w$\\]/.test(last) && /^[\w$\\]/.test(text) ||
+          (last === '+' || last === '-') && text[0] === last) {
+        output.push(' ');
+      }
+      output.push(text);
+      last = text[text.length - 1];
+      previous = token;
+    }
+
+    return output.join('');
+  }
+
+  // Every package measured so far, largest first
+  measuredPackages() {
+    return [...this.measurements.values()]
+      .sort((a, b) => b.gzip - a.gzip);
+  }
+}
+
+module.exports = PackageSizer;
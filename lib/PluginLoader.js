@@ -0,0 +1,55 @@
+const path = require('path');
+
+const PACKAGE_PREFIX = 'perf-wizard-plugin-';
+
+// Resolves `plugins` entries from the config: local paths are relative to the
+// project root, anything else is an npm package installed in the project
+class PluginLoader {
+  constructor(rootDir = process.cwd()) {
+    this.rootDir = rootDir;
+  }
+
+  resolve(specifier) {
+    const isPath = specifier.startsWith('.') || path.isAbsolute(specifier);
+    const request = isPath ? path.resolve(this.rootDir, specifier) : specifier;
+    return require.resolve(request, { paths: [this.rootDir] });
+  }
+
+  // Plugin name used to namespace its rule IDs (`<name>/<rule>`)
+  getName(specifier, plugin) {
+    if (plugin.name) return plugin.name;
+
+    if (specifier.startsWith('.') || path.isAbsolute(specifier)) {
+      return path.basename(specifier, path.extname(specifier));
+    }
+    // `perf-wizard-plugin-acme` -> `acme`, `@acme/perf-wizard-plugin` -> `@acme`
+    return specifier
+      .replace(new RegExp(`^(@[^/]+/)?${PACKAGE_PREFIX}`), '$1')
+      .replace(/\/perf-wizard-plugin$/, '');
+  }
+
+  // Returns `{ name, rules }` with every rule's `id` set to its namespaced ID.
+  // Entries may also be plugin objects when the config is a JS file.
+  load(entry) {
+    const specifier = typeof entry === 'string' ? entry : null;
+    const plugin = specifier ? require(this.resolve(specifier)) : entry;
+
+    if (!plugin || typeof plugin.rules !== 'object' || plugin.rules === null) {
+      throw new Error('Plugins must export a `rules` object');
+    }
+
+    const name = specifier ? this.getName(specifier, plugin) : plugin.name;
+    if (!name) {
+      throw new Error('Inline plugins must have a `name`');
+    }
+
+    const rules = Object.entries(plugin.rules).map(([id, rule]) => ({
+      ...rule,
+      id: `${name}/${id}`
+    }));
+
+    return { name, rules };
+  }
+}
+
+module.exports = PluginLoader;
@@ -0,0 +1,536 @@
+const MAX_CODE_POINT = 0x10ffff;
+
+// Character sets are sorted lists of disjoint `[from, to]` code point ranges
+const normalize = ranges => {
+  const sorted = ranges.map(([from, to]) => [from, to]).sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  sorted.forEach(([from, to]) => {
+    const last = merged[merged.length - 1];
+    if (last && from <= last[1] + 1) last[1] = Math.max(last[1], to);
+    else merged.push([from, to]);
+  });
+  return merged;
+};
+const range = (from, to = from) => [[from, to]];
+const union = (...sets) => normalize(sets.flat());
+const intersect = (a, b) => {
+  const result = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    const from = Math.max(a[i][0], b[j][0]);
+    const to = Math.min(a[i][1], b[j][1]);
+    if (from <= to) result.push([from, to]);
+    if (a[i][1] < b[j][1]) i++;
+    else j++;
+  }
+  return result;
+};
+const complement = set => {
+  const result = [];
+  let next = 0;
+  set.forEach(([from, to]) => {
+    if (from > next) result.push([next, from - 1]);
+    next = to + 1;
+  });
+  if (next <= MAX_CODE_POINT) result.push([next, MAX_CODE_POINT]);
+  return result;
+};
+const contains = (set, code) => set.some(([from, to]) => from <= code && code <= to);
+
+const ANY = range(0, MAX_CODE_POINT);
+const DIGITS = range(0x30, 0x39);
+const WORD = union(DIGITS, range(0x41, 0x5a), range(0x5f), range(0x61, 0x7a));
+const SPACE = union(
+  range(0x09, 0x0d), range(0x20), range(0xa0), range(0x1680), range(0x2000, 0x200a), range(0x2028, 0x2029),
+  range(0x202f), range(0x205f), range(0x3000), range(0xfeff)
+);
+const LINE_TERMINATORS = union(range(0x0a), range(0x0d), range(0x2028, 0x2029));
+// `\p{...}` classes, roughly; other properties match anything
+const LETTERS = union(
+  range(0x41, 0x5a), range(0x61, 0x7a), range(0xaa), range(0xb5), range(0xba),
+  range(0xc0, 0x167f), range(0x1681, 0x1fff)
+);
+const PROPERTIES = { L: LETTERS, Letter: LETTERS, Alphabetic: LETTERS, N: DIGITS, Nd: DIGITS, Number: DIGITS };
+const ESCAPED_CHARACTERS = { t: 0x09, n: 0x0a, v: 0x0b, f: 0x0c, r: 0x0d, 0: 0x00 };
+// Characters tried first for examples and attack strings
+const READABLE = ['a', 'A', '0', ' ', '_', '-', '.', '!', '@', '\n'].map(char => char.codePointAt(0));
+const EXPONENTIAL_REPEATS = 30;
+const POLYNOMIAL_REPEATS = 10000;
+
+// Regular expression patterns parsed into a tree of alternations,
+// sequences, groups, quantifiers and character sets, and checked for
+// shapes that backtrack catastrophically when a match fails: nested
+// quantifiers and repeated alternatives that can match the same text
+// (exponential), and adjacent quantifiers over the same characters
+// (polynomial).
+class RegexAnalyzer {
+  // `{ kind, reason, subexpression, attack }` for the worst backtracking
+  // problem of a pattern, or null when there is none or it doesn't parse
+  analyze(pattern, flags = '') {
+    let parsed;
+    try {
+      parsed = this.parse(pattern, flags);
+    } catch (error) {
+      return null;
+    }
+    const problem = this.findNestedQuantifier(parsed) || this.findOverlappingAlternatives(parsed) ||
+      this.findAdjacentQuantifiers(parsed);
+    if (!problem) return null;
+
+    // The attack reaches the problem, repeats the ambiguous text and ends
+    // with a character that makes the rest of the pattern fail. Without
+    // one, every input matches and the engine never backtracks.
+    const { node, last = node, pump, kind } = problem;
+    const matched = union(this.followWithin(last).set, this.charactersOf(node), this.charactersOf(last));
+    const suffix = this.sample(complement(matched));
+    if (suffix === null) return null;
+    const prefix = this.prefix(node);
+    const repeats = kind === 'exponential' ? EXPONENTIAL_REPEATS : POLYNOMIAL_REPEATS;
+    return {
+      kind,
+      reason: problem.reason,
+      subexpression: pattern.slice(node.start, last.end),
+      attack: [
+        prefix && JSON.stringify(prefix),
+        `${JSON.stringify(pump)}.repeat(${repeats})`,
+        JSON.stringify(suffix)
+      ].filter(Boolean).join(' + ')
+    };
+  }
+
+  // `{ tree, quantifiers }`; throws a SyntaxError for invalid patterns
+  parse(pattern, flags = '') {
+    const state = { pattern, flags, pos: 0, quantifiers: [] };
+    const tree = this.parseAlternation(state);
+    if (state.pos < pattern.length) throw new SyntaxError(`Unmatched ) at ${state.pos}`);
+    return { tree, quantifiers: state.quantifiers, pattern };
+  }
+
+  node(type, props, start, end) {
+    const node = { type, ...props, start, end, parent: null };
+    this.children(node).forEach(child => {
+      child.parent = node;
+    });
+    return node;
+  }
+
+  children(node) {
+    if (node.type === 'Alternation') return node.alternatives;
+    if (node.type === 'Sequence') return node.items;
+    return node.body ? [node.body] : [];
+  }
+
+  parseAlternation(state) {
+    const start = state.pos;
+    const alternatives = [this.parseSequence(state)];
+    while (state.pattern[state.pos] === '|') {
+      state.pos++;
+      alternatives.push(this.parseSequence(state));
+    }
+    return this.node('Alternation', { alternatives }, start, state.pos);
+  }
+
+  parseSequence(state) {
+    const { pattern } = state;
+    const start = state.pos;
+    const items = [];
+    while (state.pos < pattern.length && pattern[state.pos] !== '|' && pattern[state.pos] !== ')') {
+      items.push(this.parseQuantifier(state, this.parseAtom(state)));
+    }
+    return this.node('Sequence', { items }, start, state.pos);
+  }
+
+  parseQuantifier(state, atom) {
+    const match = state.pattern.slice(state.pos).match(/^(?:[*+?]|\{(\d+)(,(\d*))?\})/);
+    if (!match || atom.type === 'Assertion') return atom;
+    const bounds = { '*': [0, Infinity], '+': [1, Infinity], '?': [0, 1] }[match[0]];
+    const [min, max] = bounds || [
+      Number(match[1]),
+      match[2] ? (match[3] ? Number(match[3]) : Infinity) : Number(match[1])
+    ];
+    state.pos += match[0].length;
+    // Lazy quantifiers backtrack just as much when the match fails
+    if (state.pattern[state.pos] === '?') state.pos++;
+
+    const quantifier = this.node('Quantifier', { body: atom, min, max }, atom.start, state.pos);
+    state.quantifiers.push(quantifier);
+    return quantifier;
+  }
+
+  parseAtom(state) {
+    const { pattern, flags } = state;
+    const start = state.pos;
+    const char = pattern[start];
+
+    if (char === '^' || char === '$') {
+      state.pos++;
+      return this.node('Assertion', { kind: char }, start, state.pos);
+    }
+    if (char === '.') {
+      state.pos++;
+      return this.charNode(state, flags.includes('s') ? ANY : complement(LINE_TERMINATORS), start);
+    }
+    if (char === '(') {
+      const opener = pattern.slice(start).match(/^\((\?(?:[:=!]|<[=!]|<[^>]*>|[ims-]+:))?/)[0];
+      state.pos += opener.length;
+      const body = this.parseAlternation(state);
+      if (pattern[state.pos] !== ')') throw new SyntaxError(`Unterminated group at ${start}`);
+      state.pos++;
+      const lookaround = /^\(\?<?[=!]$/.test(opener);
+      return this.node('Group', { body, lookaround, negative: opener === '(?!' }, start, state.pos);
+    }
+    if (char === '[') return this.charNode(state, this.parseClass(state), start);
+    if (char === '\\') {
+      const escape = this.parseEscape(state, false);
+      if (escape.assertion) return this.node('Assertion', { kind: escape.assertion }, start, state.pos);
+      if (escape.backreference) return this.node('Backreference', {}, start, state.pos);
+      return this.charNode(state, escape.set, start);
+    }
+
+    const code = pattern.codePointAt(start);
+    state.pos += String.fromCodePoint(code).length;
+    return this.charNode(state, range(code), start);
+  }
+
+  // Single-character matcher; `i` patterns match both cases of letters
+  charNode(state, set, start) {
+    let folded = set;
+    if (state.flags.includes('i')) {
+      const upper = intersect(set, range(0x41, 0x5a)).map(([from, to]) => [from + 0x20, to + 0x20]);
+      const lower = intersect(set, range(0x61, 0x7a)).map(([from, to]) => [from - 0x20, to - 0x20]);
+      folded = union(set, upper, lower);
+    }
+    return this.node('Char', { set: folded }, start, state.pos);
+  }
+
+  // `[...]` character class
+  parseClass(state) {
+    const { pattern } = state;
+    state.pos++;
+    const negated = pattern[state.pos] === '^';
+    if (negated) state.pos++;
+
+    const sets = [];
+    while (state.pos < pattern.length && pattern[state.pos] !== ']') {
+      const item = this.parseClassAtom(state);
+      const isRange = pattern[state.pos] === '-' && pattern[state.pos + 1] !== ']' &&
+        state.pos + 1 < pattern.length && item.code !== undefined;
+      if (!isRange) {
+        sets.push(item.set);
+        continue;
+      }
+      state.pos++;
+      const to = this.parseClassAtom(state);
+      sets.push(to.code !== undefined ? range(item.code, to.code) : union(item.set, range(0x2d), to.set));
+    }
+    if (pattern[state.pos] !== ']') throw new SyntaxError('Unterminated character class');
+    state.pos++;
+
+    const set = union(...sets);
+    return negated ? complement(set) : set;
+  }
+
+  // `{ set, code }` of one class member; `code` only for single characters
+  parseClassAtom(state) {
+    const { pattern } = state;
+    // `v` patterns nest classes; their set operations are treated as unions
+    if (pattern[state.pos] === '[' && state.flags.includes('v')) return { set: this.parseClass(state) };
+    if (pattern[state.pos] === '\\') return this.parseEscape(state, true);
+    const code = pattern.codePointAt(state.pos);
+    state.pos += String.fromCodePoint(code).length;
+    return { set: range(code), code };
+  }
+
+  // `{ set, code }`, `{ assertion }` or `{ backreference }` of the escape at
+  // the current position
+  parseEscape(state, inClass) {
+    const { pattern, flags } = state;
+    const char = pattern[state.pos + 1];
+    state.pos += 2;
+    const literal = code => ({ set: range(code), code });
+    const unicode = flags.includes('u') || flags.includes('v');
+
+    const classes = { d: DIGITS, w: WORD, s: SPACE };
+    if (classes[char]) return { set: classes[char] };
+    if (classes[char?.toLowerCase()]) return { set: complement(classes[char.toLowerCase()]) };
+    if (char === 'b') return inClass ? literal(0x08) : { assertion: '\\b' };
+    if (char === 'B') return { assertion: '\\B' };
+    if (char in ESCAPED_CHARACTERS) return literal(ESCAPED_CHARACTERS[char]);
+    if (/[1-9]/.test(char) && !inClass) {
+      while (/\d/.test(pattern[state.pos] || '')) state.pos++;
+      return { backreference: true };
+    }
+    if (char === 'k' && pattern[state.pos] === '<') {
+      state.pos = pattern.indexOf('>', state.pos) + 1 || pattern.length;
+      return { backreference: true };
+    }
+    if (char === 'c' && /[A-Za-z]/.test(pattern[state.pos] || '')) {
+      return literal(pattern.charCodeAt(state.pos++) % 32);
+    }
+
+    const hex = pattern.slice(state.pos).match(
+      char === 'x' ? /^[\da-f]{2}/i : char === 'u' ? /^(?:[\da-f]{4}|\{[\da-f]+\})/i : /^(?!)/
+    );
+    if (hex) {
+      state.pos += hex[0].length;
+      return literal(parseInt(hex[0].replace(/[{}]/g, ''), 16));
+    }
+    if ((char === 'p' || char === 'P') && unicode && pattern[state.pos] === '{') {
+      const end = pattern.indexOf('}', state.pos);
+      const name = pattern.slice(state.pos + 1, end).split('=').pop();
+      state.pos = end + 1;
+      const set = PROPERTIES[name] || ANY;
+      return { set: char === 'P' && set !== ANY ? complement(set) : set };
+    }
+    if (char === undefined) throw new SyntaxError('\\ at end of pattern');
+
+    // Identity escapes such as `\.`
+    const code = pattern.codePointAt(state.pos - 1);
+    state.pos += String.fromCodePoint(code).length - 1;
+    return literal(code);
+  }
+
+  // Whether a node can match the empty string
+  isNullable(node) {
+    switch (node.type) {
+      case 'Char': return false;
+      case 'Alternation': return node.alternatives.some(alternative => this.isNullable(alternative));
+      case 'Sequence': return node.items.every(item => this.isNullable(item));
+      case 'Quantifier': return node.min === 0 || this.isNullable(node.body);
+      case 'Group': return node.lookaround || this.isNullable(node.body);
+      default: return true;
+    }
+  }
+
+  // Characters a match of `node` can start with
+  firstSet(node) {
+    switch (node.type) {
+      case 'Char': return node.set;
+      case 'Backreference': return ANY;
+      case 'Alternation': return union(...node.alternatives.map(alternative => this.firstSet(alternative)));
+      case 'Sequence': {
+        const sets = [];
+        // `(?![\]\\]).` can't start with the characters the lookahead rules out
+        let excluded = [];
+        for (const item of node.items) {
+          if (item.type === 'Group' && item.negative) {
+            const words = item.body.alternatives.map(alternative => this.word(alternative));
+            if (words.every(word => word?.length === 1)) excluded = union(excluded, ...words.flat());
+            continue;
+          }
+          sets.push(intersect(this.firstSet(item), complement(excluded)));
+          if (!this.isNullable(item)) break;
+        }
+        return union(...sets);
+      }
+      case 'Quantifier': return node.max === 0 ? [] : this.firstSet(node.body);
+      case 'Group': return node.lookaround ? [] : this.firstSet(node.body);
+      default: return [];
+    }
+  }
+
+  // Every character `node` can match
+  charactersOf(node) {
+    if (node.type === 'Char') return node.set;
+    if (node.type === 'Backreference') return ANY;
+    return union(...this.children(node).map(child => this.charactersOf(child)));
+  }
+
+  // Characters that can follow `node` up to `boundary` (the whole pattern
+  // when null): `{ set, reachesEnd }`, where `reachesEnd` tells whether
+  // everything between them can be empty. Repeating quantifiers on the way
+  // can start over.
+  followWithin(node, boundary = null) {
+    const sets = [];
+    for (let child = node, parent = node.parent; parent && child !== boundary; child = parent, parent = parent.parent) {
+      if (parent.type === 'Sequence') {
+        for (const item of parent.items.slice(parent.items.indexOf(child) + 1)) {
+          sets.push(this.firstSet(item));
+          if (!this.isNullable(item)) return { set: union(...sets), reachesEnd: false };
+        }
+      } else if (parent.type === 'Quantifier' && parent.max > 1 && parent !== boundary) {
+        sets.push(this.firstSet(parent.body));
+      }
+      if (parent === boundary) break;
+    }
+    return { set: union(...sets), reachesEnd: true };
+  }
+
+  // Whether the pattern can still fail after `node` matched: something
+  // non-empty, `$` or a lookahead follows it. Otherwise the engine accepts
+  // the first match it finds and never backtracks into `node`.
+  canFailAfter(node) {
+    for (let child = node, parent = node.parent; parent; child = parent, parent = parent.parent) {
+      if (parent.type !== 'Sequence') continue;
+      const following = parent.items.slice(parent.items.indexOf(child) + 1);
+      if (following.some(item => !this.isNullable(item) || item.type === 'Assertion' ||
+          (item.type === 'Group' && item.lookaround))) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  text(pattern, node) {
+    return pattern.slice(node.start, node.end);
+  }
+
+  isInside(node, ancestor) {
+    for (let parent = node.parent; parent; parent = parent.parent) {
+      if (parent === ancestor) return true;
+    }
+    return false;
+  }
+
+  // `(a+)+`, `(\w+\s?)*`: a repeated quantifier inside an unbounded one,
+  // where one repetition can end where the next could start
+  findNestedQuantifier({ quantifiers, pattern }) {
+    for (const outer of quantifiers) {
+      if (outer.max !== Infinity || !this.canFailAfter(outer)) continue;
+      for (const inner of quantifiers) {
+        if (inner.max <= 1 || !this.isInside(inner, outer)) continue;
+        const follow = this.followWithin(inner, outer);
+        const next = follow.reachesEnd ? union(follow.set, this.firstSet(outer.body)) : follow.set;
+        const overlap = intersect(this.firstSet(inner.body), next);
+        if (overlap.length === 0) continue;
+        return {
+          kind: 'exponential',
+          node: outer,
+          pump: inner.body.type === 'Char' ? this.sample(overlap) : this.example(inner.body),
+          reason: `\`${this.text(pattern, outer)}\` repeats \`${this.text(pattern, inner)}\`, ` +
+            'and each repetition can end where the next one could start'
+        };
+      }
+    }
+    return null;
+  }
+
+  // `(\w|\d)+`, `(a|aa)*`, `(a|b|ab)*`: an unbounded quantifier over
+  // alternatives where one can match the same text as the others, alone or
+  // one after another
+  findOverlappingAlternatives({ quantifiers, pattern }) {
+    for (const quantifier of quantifiers) {
+      if (quantifier.max !== Infinity || !this.canFailAfter(quantifier)) continue;
+      let body = quantifier.body;
+      while (body.type === 'Group' && !body.lookaround) body = body.body;
+      if (body.type !== 'Alternation') continue;
+
+      const words = body.alternatives.map(alternative => this.word(alternative));
+      for (let i = 0; i < words.length; i++) {
+        const shared = this.spellWithOthers(words, i);
+        if (!shared) continue;
+        const names = [...new Set([i, ...shared.used])].sort((x, y) => x - y)
+          .map(index => `\`${this.text(pattern, body.alternatives[index])}\``);
+        return {
+          kind: 'exponential',
+          node: quantifier,
+          pump: shared.text,
+          reason: `the alternatives ${names.slice(0, -1).join(', ')} and ${names[names.length - 1]} of ` +
+            `\`${this.text(pattern, quantifier)}\` can match the same text`
+        };
+      }
+    }
+    return null;
+  }
+
+  // `\d+\d+`, `\s*\s+`: unbounded quantifiers over single characters next
+  // to each other, where both can match the same characters, so a failing
+  // match tries every split between them
+  findAdjacentQuantifiers({ quantifiers, pattern }) {
+    const repeatsCharacter = node => node.type === 'Quantifier' && node.max === Infinity && node.body.type === 'Char';
+    for (const first of quantifiers) {
+      const sequence = first.parent;
+      if (!repeatsCharacter(first) || sequence?.type !== 'Sequence') continue;
+      for (const item of sequence.items.slice(sequence.items.indexOf(first) + 1)) {
+        if (repeatsCharacter(item) && this.canFailAfter(item)) {
+          const overlap = intersect(this.firstSet(first.body), this.firstSet(item.body));
+          if (overlap.length > 0) {
+            return {
+              kind: 'polynomial',
+              node: first,
+              last: item,
+              pump: this.sample(overlap),
+              reason: `\`${this.text(pattern, first)}\` and \`${this.text(pattern, item)}\` ` +
+                'can match the same characters, so a failing match tries every split between them'
+            };
+          }
+        }
+        if (!this.isNullable(item)) break;
+      }
+    }
+    return null;
+  }
+
+  // Character sets of a sequence made only of single characters, or null
+  word(sequence) {
+    const sets = [];
+    for (const item of sequence.items) {
+      if (item.type === 'Char') {
+        sets.push(item.set);
+      } else if (item.type === 'Group' && !item.lookaround && item.body.alternatives.length === 1) {
+        const inner = this.word(item.body.alternatives[0]);
+        if (!inner) return null;
+        sets.push(...inner);
+      } else {
+        return null;
+      }
+    }
+    return sets.length > 0 ? sets : null;
+  }
+
+  // Text the word alternative `words[index]` can match that a sequence of
+  // the other word alternatives can match too (`ab` as `a` then `b`, `\d`
+  // as `\w`): `{ text, used }` with the indexes of the alternatives used, or
+  // null. Built position by position: each alternative that fits at a
+  // reached position, character set by character set, reaches a later one.
+  spellWithOthers(words, index) {
+    const target = words[index];
+    if (!target) return null;
+    const reached = [{ text: '', used: [] }];
+    for (let position = 0; position < target.length; position++) {
+      if (!reached[position]) continue;
+      words.forEach((word, other) => {
+        const end = position + (word?.length || 0);
+        if (!word || other === index || end > target.length || reached[end]) return;
+        const chars = word.map((set, offset) => this.sample(intersect(set, target[position + offset])));
+        if (chars.some(char => char === null)) return;
+        const { text, used } = reached[position];
+        reached[end] = { text: text + chars.join(''), used: [...used, other] };
+      });
+    }
+    return reached[target.length] || null;
+  }
+
+  // Shortest text leading the engine to `node` from the start of the pattern
+  prefix(node) {
+    let text = '';
+    for (let child = node, parent = node.parent; parent; child = parent, parent = parent.parent) {
+      if (parent.type === 'Sequence') {
+        text = parent.items.slice(0, parent.items.indexOf(child)).map(item => this.example(item)).join('') + text;
+      }
+    }
+    return text;
+  }
+
+  // Short text `node` matches
+  example(node) {
+    switch (node.type) {
+      case 'Char': return this.sample(node.set) ?? '';
+      case 'Alternation': return this.example(node.alternatives[0]);
+      case 'Sequence': return node.items.map(item => this.example(item)).join('');
+      case 'Quantifier': return this.example(node.body).repeat(node.min);
+      case 'Group': return node.lookaround ? '' : this.example(node.body);
+      default: return '';
+    }
+  }
+
+  // A readable character of `set`, or null when it is empty
+  sample(set) {
+    if (set.length === 0) return null;
+    const code = READABLE.find(candidate => contains(set, candidate)) ?? set[0][0];
+    return String.fromCodePoint(code);
+  }
+}
+
+module.exports = RegexAnalyzer;
@@ -0,0 +1,78 @@
+// Text edits for rule fixes, modeled on ESLint's fixer. Each edit is
+// `{ range: [start, end], text }` on the original source, so everything a fix
+// doesn't touch keeps its formatting and comments.
+class RuleFixer {
+  rangeOf(target) {
+    return Array.isArray(target) ? target : [target.start, target.end];
+  }
+
+  insertTextBefore(target, text) {
+    const [start] = this.rangeOf(target);
+    return { range: [start, start], text };
+  }
+
+  insertTextAfter(target, text) {
+    const [, end] = this.rangeOf(target);
+    return { range: [end, end], text };
+  }
+
+  replaceText(target, text) {
+    return { range: this.rangeOf(target), text };
+  }
+
+  remove(target) {
+    return this.replaceText(target, '');
+  }
+
+  // One edit covering every edit a fix function returned
+  merge(edits, code) {
+    const sorted = [].concat(edits || [])
+      .filter(Boolean)
+      .sort((a, b) => a.range[0] - b.range[0] || a.range[1] - b.range[1]);
+    if (sorted.length === 0) return null;
+    if (sorted.length === 1) return sorted[0];
+
+    const start = sorted[0].range[0];
+    const end = Math.max(...sorted.map(edit => edit.range[1]));
+    let text = '';
+    let position = start;
+
+    sorted.forEach(edit => {
+      if (edit.range[0] < position) {
+        throw new Error('Fix edits overlap');
+      }
+      text += code.slice(position, edit.range[0]) + edit.text;
+      position = edit.range[1];
+    });
+    text += code.slice(position, end);
+
+    return { range: [start, end], text };
+  }
+
+  // Applies the fixes of `findings` that don't overlap an earlier one;
+  // returns `{ output, applied }` with the findings that were fixed
+  apply(code, findings) {
+    const sorted = findings
+      .filter(finding => finding.fix)
+      .sort((a, b) => a.fix.range[0] - b.fix.range[0] || a.fix.range[1] - b.fix.range[1]);
+
+    const applied = [];
+    let output = '';
+    let position = 0;
+
+    sorted.forEach(finding => {
+      const [start, end] = finding.fix.range;
+      // Overlapping fixes are left for the next pass
+      if (start < position || (applied.length > 0 && start === position)) return;
+
+      output += code.slice(position, start) + finding.fix.text;
+      position = end;
+      applied.push(finding);
+    });
+    output += code.slice(position);
+
+    return { output, applied };
+  }
+}
+
+module.exports = RuleFixer;
@@ -0,0 +1,111 @@
+const DOCS_URL = 'https://github.com/arisyh7/perf-wizard/blob/main/docs/rules.md';
+
+// Config levels accepted in the `rules` section, mapped to finding severities
+const LEVELS = {
+  off: null,
+  error: 'high',
+  warn: 'medium',
+  info: 'low',
+  high: 'high',
+  medium: 'medium',
+  low: 'low',
+  0: null,
+  1: 'medium',
+  2: 'high'
+};
+
+class RuleRegistry {
+  constructor() {
+    this.rules = new Map();
+    this.settings = new Map();
+  }
+
+  register(rule) {
+    if (!rule || typeof rule.id !== 'string' || !rule.meta) {
+      throw new Error('Rules must have a string `id` and a `meta` object');
+    }
+    if (rule.create !== undefined && typeof rule.create !== 'function') {
+      throw new Error(`Rule "${rule.id}" has a non-function \`create\``);
+    }
+    if (this.rules.has(rule.id)) {
+      throw new Error(`Rule "${rule.id}" is already registered`);
+    }
+
+    // Plugin rules are namespaced (`acme/no-deep-clone`) and bring their own docs
+    const docs = rule.id.includes('/') ? undefined : `${DOCS_URL}#${rule.id}`;
+    this.rules.set(rule.id, {
+      ...rule,
+      meta: {
+        category: 'performance',
+        severity: 'medium',
+        defaultOptions: {},
+        docs,
+        ...rule.meta
+      }
+    });
+  }
+
+  has(id) {
+    return this.rules.has(id);
+  }
+
+  get(id) {
+    return this.rules.get(id);
+  }
+
+  // Accepts `"off"`, `"error"` or `["error", { ...options }]` per rule ID and
+  // returns a list of problems instead of throwing so one typo does not
+  // disable the whole config
+  configure(rulesConfig = {}) {
+    const problems = [];
+
+    Object.entries(rulesConfig).forEach(([id, value]) => {
+      const [level, options = {}] = Array.isArray(value) ? value : [value];
+
+      if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+        problems.push(`Invalid level "${level}" for rule "${id}"`);
+        return;
+      }
+      if (typeof options !== 'object' || options === null) {
+        problems.push(`Options for rule "${id}" must be an object`);
+        return;
+      }
+
+      this.settings.set(id, { severity: LEVELS[level], options });
+    });
+
+    return problems;
+  }
+
+  // IDs configured in `rules` that no registered rule provides
+  unknownRules() {
+    return [...this.settings.keys()].filter(id => !this.rules.has(id));
+  }
+
+  // Resolved severity and options for a rule, or null when it is turned off.
+  // `configured` marks a severity set by the user, which findings must keep
+  getConfig(id) {
+    const rule = this.rules.get(id);
+    if (!rule) return null;
+
+    const setting = this.settings.get(id);
+    const severity = setting ? setting.severity : rule.meta.severity;
+    if (!severity) return null;
+
+    return {
+      severity,
+      configured: Boolean(setting),
+      options: { ...rule.meta.defaultOptions, ...(setting ? setting.options : {}) }
+    };
+  }
+
+  // Enabled rules that contribute visitors to the shared AST traversal
+  getEnabledRules() {
+    return [...this.rules.values()]
+      .filter(rule => rule.create)
+      .map(rule => ({ rule, config: this.getConfig(rule.id) }))
+      .filter(({ config }) => config);
+  }
+}
+
+module.exports = RuleRegistry;
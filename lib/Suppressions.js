@@ -0,0 +1,70 @@
+const DIRECTIVE_PATTERN = /^perf-wizard-(disable-next-line|disable-line|disable|enable)(?=\s|$)(.*)$/;
+
+// Inline `perf-wizard-disable*` comments of one file. A `disable` without a
+// later `enable` runs to the end of the file, so one at the top disables the
+// listed rules (or every rule) for the whole file.
+class Suppressions {
+  constructor(comments = []) {
+    this.directives = comments
+      .map(comment => this.parseDirective(comment))
+      .filter(Boolean);
+  }
+
+  // `// perf-wizard-disable-next-line nested-loop, timer -- fixed-size matrix`
+  parseDirective(comment) {
+    const match = comment.value.trim().match(DIRECTIVE_PATTERN);
+    if (!match) return null;
+
+    const [kind, rest] = [match[1], match[2].split('--')[0]];
+    const rules = rest.split(/[\s,]+/).filter(Boolean);
+
+    return {
+      kind,
+      rules: rules.length > 0 ? rules : null,
+      line: comment.loc.start.line,
+      endLine: comment.loc.end.line,
+      used: false
+    };
+  }
+
+  covers(directive, ruleId) {
+    return !directive.rules || directive.rules.includes(ruleId);
+  }
+
+  // The directive suppressing a finding of `ruleId` on `line`, if any
+  find(ruleId, line) {
+    if (!line) return null;
+
+    let blockDirective = null;
+    for (const directive of this.directives) {
+      if (!this.covers(directive, ruleId)) continue;
+
+      if (directive.kind === 'disable-next-line' && directive.endLine + 1 === line) {
+        return this.markUsed(directive);
+      }
+      if (directive.kind === 'disable-line' && directive.line === line) {
+        return this.markUsed(directive);
+      }
+      if (directive.line <= line) {
+        if (directive.kind === 'disable') blockDirective = directive;
+        if (directive.kind === 'enable') blockDirective = null;
+      }
+    }
+
+    return blockDirective && this.markUsed(blockDirective);
+  }
+
+  markUsed(directive) {
+    directive.used = true;
+    return directive;
+  }
+
+  // Disable directives that did not suppress any finding
+  unused() {
+    return this.directives
+      .filter(directive => directive.kind !== 'enable' && !directive.used)
+      .map(({ kind, rules, line }) => ({ kind, rules, line }));
+  }
+}
+
+module.exports = Suppressions;
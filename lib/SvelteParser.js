@@ -0,0 +1,124 @@
+const VueParser = require('./VueParser');
+
+// `<script type>` values holding JavaScript; JSON-LD and templates are skipped
+const SCRIPT_TYPES = ['module', 'text/javascript', 'application/javascript', 'text/typescript'];
+const EACH_PATTERN = /^#each\s+([\s\S]+?)\s+as\s+([\s\S]+)$/;
+
+// Svelte components: the `<script>` and `<style>` blocks, and the `{#each}`
+// blocks of the markup around them. Components are laid out like Vue
+// single-file components without the `<template>` wrapper, so the locations,
+// comments and script source work the same way (see VueParser).
+class SvelteParser extends VueParser {
+  parse(code) {
+    const loc = this.locator(code);
+    const { blocks, comments } = this.splitBlocks(code, ['script', 'style'], loc);
+    const descriptor = { framework: 'svelte', scripts: [], styles: [], markup: [], each: [], comments };
+    let position = 0;
+
+    blocks.forEach(({ outerStart, outerEnd, ...block }) => {
+      descriptor.markup.push({ start: position, end: outerStart });
+      if (block.type === 'style') {
+        descriptor.styles.push(block);
+      } else if (!block.attributes.type || SCRIPT_TYPES.includes(block.attributes.type)) {
+        // `<script context="module">` (`<script module>` in Svelte 5) runs
+        // once per module, not per component instance
+        const { attributes } = block;
+        descriptor.scripts.push({ ...block, module: attributes.context === 'module' || attributes.module === true });
+      }
+      position = outerEnd;
+    });
+    descriptor.markup.push({ start: position, end: code.length });
+
+    descriptor.markup.forEach(({ start, end }) => {
+      descriptor.each.push(...this.parseEachBlocks(code, start, end, descriptor.comments, loc));
+    });
+    return descriptor;
+  }
+
+  // `{#each items as item, index (key)}` blocks between `start` and `end`,
+  // skipping comments
+  parseEachBlocks(code, start, end, comments, loc) {
+    const blocks = [];
+    let i = start;
+    while (i < end) {
+      const open = code.indexOf('{', i);
+      if (open === -1 || open >= end) break;
+      const comment = comments.find(candidate => candidate.start <= open && open < candidate.end);
+      if (comment) {
+        i = comment.end;
+        continue;
+      }
+
+      const close = this.findClosingBrace(code, open, end);
+      const text = code.slice(open + 1, close).trim();
+      const each = text.match(EACH_PATTERN);
+      if (each) {
+        const offset = open + 1 + code.slice(open + 1, close).indexOf(text);
+        blocks.push({
+          ...this.parseEachContext(each[2]),
+          expression: each[1],
+          expressionStart: offset + each[0].indexOf(each[1]),
+          start: open,
+          end: close + 1,
+          loc: { start: loc(open) }
+        });
+      }
+      i = close + 1;
+    }
+    return blocks;
+  }
+
+  // Offset of the `}` closing the `{` at `open`, past nested braces and
+  // strings
+  findClosingBrace(code, open, end) {
+    let depth = 0;
+    for (let i = open; i < end; i++) {
+      const char = code[i];
+      if (char === '"' || char === "'" || char === '`') {
+        const closeQuote = code.indexOf(char, i + 1);
+        if (closeQuote === -1) return end;
+        i = closeQuote;
+      } else if (char === '{') {
+        depth++;
+      } else if (char === '}' && --depth === 0) {
+        return i;
+      }
+    }
+    return end;
+  }
+
+  // `{ context, index, key }` of the `item, index (key)` part of an each
+  // block; the item may be destructured
+  parseEachContext(text) {
+    let rest = text.trim();
+    let key = null;
+    const keyed = rest.match(/\(([\s\S]*)\)$/);
+    if (keyed) {
+      key = keyed[1].trim();
+      rest = rest.slice(0, keyed.index).trim();
+    }
+
+    let context = rest;
+    let index = null;
+    const opener = rest[0];
+    if (opener === '{' || opener === '[') {
+      const closer = opener === '{' ? '}' : ']';
+      let depth = 0;
+      for (let i = 0; i < rest.length; i++) {
+        if (rest[i] === opener) depth++;
+        if (rest[i] === closer && --depth === 0) {
+          context = rest.slice(0, i + 1);
+          break;
+        }
+      }
+    } else {
+      context = rest.split(',')[0].trim();
+    }
+    const after = rest.slice(context.length).trim();
+    if (after.startsWith(',')) index = after.slice(1).trim() || null;
+
+    return { context, index, key };
+  }
+}
+
+module.exports = SvelteParser;
@@ -0,0 +1,286 @@
+const babel = require('@babel/parser');
+
+const ATTRIBUTE_PATTERN = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr'
+]);
+// Attributes whose value is a JavaScript expression
+const EXPRESSION_ATTRIBUTE = /^(:|@|#|v-)/;
+const FOR_PATTERN = /^\s*(?:\(([^)]*)\)|([^\s]+))\s+(?:in|of)\s+([\s\S]+)$/;
+
+// Vue single-file components: the `<template>`, `<script>` and `<style>`
+// blocks, and the elements, directives and `{{ }}` interpolations of the
+// template. Offsets are positions in the whole file and every parsed node has
+// a Babel-style `loc`, so findings point at lines of the .vue file.
+class VueParser {
+  parse(code) {
+    const loc = this.locator(code);
+    const { blocks, comments } = this.splitBlocks(code, ['template', 'script', 'style'], loc);
+    const descriptor = { framework: 'vue', template: null, scripts: [], styles: [], comments };
+
+    blocks.forEach(({ outerStart, outerEnd, ...block }) => {
+      if (block.type === 'template') {
+        descriptor.template = { ...block, ...this.parseTemplate(code, block.start, block.end, loc) };
+      } else if (block.type === 'script') {
+        descriptor.scripts.push({ ...block, setup: Boolean(block.attributes.setup) });
+      } else {
+        descriptor.styles.push({ ...block, scoped: Boolean(block.attributes.scoped) });
+      }
+    });
+    return descriptor;
+  }
+
+  // Top-level blocks of a component file whose tag is one of `types`, and the
+  // markup comments between them: `{ blocks, comments }`. Blocks are `{ type,
+  // attributes, lang, start, end, content }` with the offsets of their
+  // content, plus `outerStart`/`outerEnd` around the tags.
+  splitBlocks(code, types, loc) {
+    const pattern = new RegExp(`<(${types.join('|')})(\\s[^>]*)?>|<!--([\\s\\S]*?)-->`, 'g');
+    const blocks = [];
+    const comments = [];
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+      if (match[3] !== undefined) {
+        comments.push(this.comment(match[3], match.index, match.index + match[0].length, loc));
+        continue;
+      }
+
+      const [open, type, attributeText = ''] = match;
+      if (attributeText.trim().endsWith('/')) continue;
+      const start = match.index + open.length;
+      const end = type === 'template'
+        ? this.findTemplateEnd(code, start)
+        : code.indexOf(`</${type}>`, start);
+      if (end === -1) break;
+
+      const attributes = {};
+      for (const [, name, ...values] of attributeText.matchAll(ATTRIBUTE_PATTERN)) {
+        attributes[name] = values.find(value => value !== undefined) ?? true;
+      }
+      const outerEnd = end + `</${type}>`.length;
+      blocks.push({
+        type,
+        attributes,
+        lang: attributes.lang || null,
+        start,
+        end,
+        content: code.slice(start, end),
+        outerStart: match.index,
+        outerEnd
+      });
+      pattern.lastIndex = outerEnd;
+    }
+    return { blocks, comments };
+  }
+
+  // `offset => { line, column }` for positions in `code`
+  locator(code) {
+    const lineStarts = [0];
+    for (let i = 0; i < code.length; i++) {
+      if (code[i] === '\n') lineStarts.push(i + 1);
+    }
+    return offset => {
+      let low = 0;
+      let high = lineStarts.length - 1;
+      while (low < high) {
+        const middle = Math.ceil((low + high) / 2);
+        if (lineStarts[middle] <= offset) low = middle;
+        else high = middle - 1;
+      }
+      return { line: low + 1, column: offset - lineStarts[low] };
+    };
+  }
+
+  comment(value, start, end, loc) {
+    return { type: 'CommentBlock', value, start, end, loc: { start: loc(start), end: loc(end) } };
+  }
+
+  // End of a `<template>` block, past any nested `<template>` elements
+  findTemplateEnd(code, start) {
+    const pattern = /<template[\s>]|<\/template>/g;
+    pattern.lastIndex = start;
+    let depth = 1;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+      depth += match[0] === '</template>' ? -1 : 1;
+      if (depth === 0) return match.index;
+    }
+    return -1;
+  }
+
+  // Element tree of the template: `{ children, elements, expressions,
+  // comments }`. Elements are `{ tag, attributes, children, parent, start,
+  // end, loc }`; expressions are the interpolations and directive values.
+  parseTemplate(code, start, end, loc) {
+    const root = { tag: null, attributes: [], children: [], parent: null };
+    const elements = [];
+    const expressions = [];
+    const comments = [];
+    const stack = [root];
+    let i = start;
+
+    const addExpression = (text, offset, kind, element, attribute) => {
+      expressions.push({
+        code: text,
+        start: offset,
+        end: offset + text.length,
+        loc: { start: loc(offset) },
+        kind,
+        element,
+        attribute
+      });
+    };
+
+    while (i < end) {
+      if (code.startsWith('<!--', i)) {
+        const close = code.indexOf('-->', i);
+        const commentEnd = close === -1 ? end : close + 3;
+        comments.push(this.comment(code.slice(i + 4, commentEnd - 3), i, commentEnd, loc));
+        i = commentEnd;
+      } else if (code.startsWith('</', i)) {
+        const close = code.indexOf('>', i);
+        const tag = code.slice(i + 2, close === -1 ? end : close).trim();
+        const open = stack.map(element => element.tag).lastIndexOf(tag);
+        if (open > 0) {
+          stack[open].end = close + 1;
+          stack.length = open;
+        }
+        i = close === -1 ? end : close + 1;
+      } else if (code[i] === '<' && /[A-Za-z]/.test(code[i + 1] || '')) {
+        const element = this.parseElement(code, i, end, loc);
+        const parent = stack[stack.length - 1];
+        element.parent = parent;
+        parent.children.push(element);
+        elements.push(element);
+
+        element.attributes.forEach(attribute => {
+          if (attribute.value !== null && this.isExpressionAttribute(attribute.name)) {
+            addExpression(attribute.value, attribute.valueStart, 'attribute', element, attribute);
+          }
+        });
+        if (!element.selfClosing) stack.push(element);
+        i = element.openEnd;
+      } else if (code.startsWith('{{', i)) {
+        // `{{ a < b }}` may contain a `<` that isn't a tag
+        const close = code.indexOf('}}', i + 2);
+        const expressionEnd = close === -1 || close > end ? end : close;
+        addExpression(code.slice(i + 2, expressionEnd), i + 2, 'interpolation', stack[stack.length - 1]);
+        i = expressionEnd + 2;
+      } else {
+        // Text up to the next tag or interpolation
+        const next = [code.indexOf('<', i + 1), code.indexOf('{{', i + 1)]
+          .filter(index => index !== -1 && index < end);
+        i = next.length > 0 ? Math.min(...next) : end;
+      }
+    }
+
+    return { children: root.children, elements, expressions, comments };
+  }
+
+  // Whether the value of an attribute is an expression: a directive,
+  // `:prop`, `@event` or `#slot`
+  isExpressionAttribute(name) {
+    return EXPRESSION_ATTRIBUTE.test(name);
+  }
+
+  // Opening tag at `start`, with quote-aware attribute scanning
+  parseElement(code, start, end, loc) {
+    let i = start + 1;
+    while (i < end && /[^\s/>]/.test(code[i])) i++;
+    const tag = code.slice(start + 1, i);
+    const attributes = [];
+    let selfClosing = false;
+
+    while (i < end) {
+      while (i < end && /\s/.test(code[i])) i++;
+      if (code[i] === '>') {
+        i++;
+        break;
+      }
+      if (code.startsWith('/>', i)) {
+        selfClosing = true;
+        i += 2;
+        break;
+      }
+
+      const nameStart = i;
+      while (i < end && /[^\s=>]/.test(code[i]) && !code.startsWith('/>', i)) i++;
+      const name = code.slice(nameStart, i);
+      if (!name) {
+        i++;
+        continue;
+      }
+
+      let value = null;
+      let valueStart = null;
+      let j = i;
+      while (j < end && /\s/.test(code[j])) j++;
+      if (code[j] === '=') {
+        j++;
+        while (j < end && /\s/.test(code[j])) j++;
+        const quote = code[j] === '"' || code[j] === "'" ? code[j] : null;
+        valueStart = quote ? j + 1 : j;
+        let valueEnd = quote ? code.indexOf(quote, valueStart) : j;
+        if (!quote) {
+          while (valueEnd < end && /[^\s>]/.test(code[valueEnd])) valueEnd++;
+        }
+        value = code.slice(valueStart, valueEnd);
+        i = quote ? valueEnd + 1 : valueEnd;
+      }
+      attributes.push({ name, value, start: nameStart, valueStart, loc: { start: loc(nameStart) } });
+    }
+
+    return {
+      tag,
+      attributes,
+      children: [],
+      selfClosing: selfClosing || VOID_ELEMENTS.has(tag.toLowerCase()),
+      start,
+      openEnd: i,
+      end: i,
+      loc: { start: loc(start) }
+    };
+  }
+
+  // The attribute of `element` named by any of `names`
+  getAttribute(element, ...names) {
+    return element.attributes.find(attribute => names.includes(attribute.name)) || null;
+  }
+
+  // `{ aliases, source, sourceStart }` of a `v-for="(item, index) in items"`
+  parseFor(attribute) {
+    const match = attribute.value?.match(FOR_PATTERN);
+    if (!match) return null;
+    const aliases = (match[1] ?? match[2]).split(',').map(alias => alias.trim());
+    return {
+      aliases,
+      source: match[3].trim(),
+      sourceStart: attribute.valueStart + attribute.value.indexOf(match[3])
+    };
+  }
+
+  // Babel AST of a template expression, or null when it isn't one (e.g.
+  // statements in an event handler)
+  parseExpression(text) {
+    try {
+      return babel.parseExpression(text, { plugins: ['typescript'] });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // The file with everything but the `<script>` contents blanked out, so
+  // the script parses with the offsets and lines of the .vue file
+  scriptSource(code, descriptor = this.parse(code)) {
+    const blank = text => text.replace(/[^\n]/g, ' ');
+    let output = '';
+    let position = 0;
+    descriptor.scripts.forEach(script => {
+      output += blank(code.slice(position, script.start)) + script.content;
+      position = script.end;
+    });
+    return output + blank(code.slice(position));
+  }
+}
+
+module.exports = VueParser;
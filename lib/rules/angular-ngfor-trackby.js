@@ -0,0 +1,40 @@
+module.exports = {
+  id: 'angular-ngfor-trackby',
+  meta: {
+    category: 'angular',
+    framework: 'angular',
+    severity: 'medium',
+    description: '`*ngFor` lists without `trackBy`'
+  },
+
+  create(context) {
+    const { analyzer, filePath, code } = context;
+    const parser = analyzer.angularParser;
+
+    return {
+      'ClassDeclaration|ClassExpression'(path) {
+        const component = analyzer.getAngularClass(path);
+        if (component?.decorator !== 'Component') return;
+        const template = analyzer.getAngularTemplate(component, filePath, code);
+        if (!template) return;
+
+        template.template.elements.forEach(element => {
+          const attribute = parser.getAttribute(element, '*ngFor');
+          const loop = attribute && parser.parseNgFor(attribute);
+          if (!loop || loop.trackBy) return;
+
+          const { node, location } = analyzer.getAngularTemplateLocation(component, template, attribute);
+          context.report({
+            node,
+            message: `*ngFor over ${loop.source} in ${component.name}${location ? ` (${location})` : ''} ` +
+              'has no trackBy, so replacing the array re-creates the DOM of every item',
+            suggestion: 'Add trackBy with a function returning a stable item ID, or use @for with track',
+            impact: 'DOM re-creation, lost element state',
+            component: component.name,
+            list: loop.source
+          });
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,32 @@
+module.exports = {
+  id: 'angular-onpush',
+  meta: {
+    category: 'angular',
+    framework: 'angular',
+    severity: 'medium',
+    description: 'Angular components without `ChangeDetectionStrategy.OnPush`'
+  },
+
+  create(context) {
+    const { analyzer } = context;
+
+    return {
+      'ClassDeclaration|ClassExpression'(path) {
+        const component = analyzer.getAngularClass(path);
+        if (component?.decorator !== 'Component' || !component.metadata) return;
+        // An explicit `ChangeDetectionStrategy.Default` is a deliberate choice
+        if (analyzer.getMetadataProperty(component.metadata, 'changeDetection')) return;
+
+        context.report({
+          node: path.node.id || path.node,
+          message: `Component ${component.name} uses default change detection, ` +
+            'so it is checked on every change detection cycle of the app',
+          suggestion: 'Set changeDetection: ChangeDetectionStrategy.OnPush and pass data through inputs, ' +
+            'signals or observables with the async pipe',
+          impact: 'Change detection time',
+          component: component.name
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,143 @@
+const t = require('@babel/types');
+
+// Operators completing the subscription by themselves
+const COMPLETING_OPERATORS = ['takeUntilDestroyed', 'take', 'first', 'takeWhile'];
+// Collections subscriptions are added to and unsubscribed together
+const COLLECTING_METHODS = ['add', 'push'];
+
+module.exports = {
+  id: 'angular-subscription',
+  meta: {
+    category: 'memory',
+    framework: 'angular',
+    severity: 'medium',
+    description: 'RxJS subscriptions in Angular components and directives that are never unsubscribed'
+  },
+
+  create(context) {
+    const { analyzer, code } = context;
+    const compact = node => code.slice(node.start, node.end).replace(/\s+/g, '');
+    const nameOf = node => analyzer.complexityAnalyzer.getExpressionName(node) || '';
+
+    // What ngOnDestroy (or a DestroyRef callback) undoes: unsubscribed
+    // subscriptions and collections, and subjects it emits or completes
+    const destroyedIn = classPath => {
+      const unsubscribed = new Set();
+      const emitted = new Set();
+      const visit = fn => fn.traverse({
+        CallExpression: inner => {
+          const { callee } = inner.node;
+          if (!t.isMemberExpression(callee) || callee.computed) return;
+          const method = callee.property.name;
+          if (method === 'unsubscribe') {
+            unsubscribed.add(compact(callee.object));
+            // `this.subs.forEach(sub => sub.unsubscribe())`
+            const loop = inner.getFunctionParent()?.parentPath;
+            if (loop?.isCallExpression() && t.isMemberExpression(loop.node.callee) &&
+                t.isIdentifier(loop.node.callee.property, { name: 'forEach' })) {
+              unsubscribed.add(compact(loop.node.callee.object));
+            }
+          }
+          if (method === 'next' || method === 'complete') emitted.add(compact(callee.object));
+        }
+      });
+
+      classPath.get('body.body').forEach(member => {
+        if (member.isClassMethod() && t.isIdentifier(member.node.key, { name: 'ngOnDestroy' })) visit(member);
+      });
+      classPath.traverse({
+        CallExpression: inner => {
+          const callback = inner.get('arguments.0');
+          if (nameOf(inner.node.callee).endsWith('.onDestroy') && callback?.isFunction()) visit(callback);
+        }
+      });
+      return { unsubscribed, emitted };
+    };
+
+    // Operators piped into the observable `node` subscribes to, and whether
+    // it comes from an HTTP request, which completes by itself
+    const inspectSource = node => {
+      const operators = [];
+      let http = false;
+      for (let source = node; t.isCallExpression(source) && t.isMemberExpression(source.callee);
+        source = source.callee.object) {
+        const name = nameOf(source.callee);
+        if (/(^|\.)http(Client)?\./i.test(name)) http = true;
+        if (name.endsWith('.pipe')) {
+          source.arguments.forEach(argument => {
+            if (t.isCallExpression(argument)) operators.push({ name: nameOf(argument.callee), node: argument });
+          });
+        }
+      }
+      return { operators, http };
+    };
+
+    return {
+      'ClassDeclaration|ClassExpression'(classPath) {
+        const component = analyzer.getAngularClass(classPath);
+        if (!['Component', 'Directive'].includes(component?.decorator)) return;
+        let destroyed = null;
+
+        classPath.get('body').traverse({
+          // Nested classes are checked on their own
+          Class: inner => inner.skip(),
+          CallExpression: path => {
+            const { node, parent } = path;
+            if (!t.isMemberExpression(node.callee) || !t.isIdentifier(node.callee.property, { name: 'subscribe' })) {
+              return;
+            }
+            const method = path.findParent(parentPath => parentPath.isClassMethod());
+            if (t.isIdentifier(method?.node.key, { name: 'ngOnDestroy' })) return;
+            const { operators, http } = inspectSource(node.callee.object);
+            if (http || operators.some(operator => COMPLETING_OPERATORS.includes(operator.name))) return;
+            destroyed = destroyed || destroyedIn(classPath);
+
+            // The observable before its `.pipe()` operators
+            let observable = node.callee.object;
+            while (t.isCallExpression(observable) && nameOf(observable.callee).endsWith('.pipe')) {
+              observable = observable.callee.object;
+            }
+            const source = code.slice(observable.start, observable.end);
+            const report = message => context.report({
+              node,
+              message,
+              suggestion: 'Use the async pipe or takeUntilDestroyed(), or unsubscribe in ngOnDestroy',
+              impact: 'Memory leak, handlers running after the component is destroyed',
+              component: component.name
+            });
+
+            const until = operators.find(operator => operator.name === 'takeUntil');
+            if (until) {
+              const [notifier] = until.node.arguments;
+              if (notifier && !destroyed.emitted.has(compact(notifier))) {
+                report(`takeUntil(${compact(notifier)}) in ${component.name} never ends the subscription ` +
+                  `to ${source}: ngOnDestroy doesn't emit ${compact(notifier)}`);
+              }
+              return;
+            }
+
+            if (t.isAssignmentExpression(parent, { operator: '=' }) && parent.right === node) {
+              if (!destroyed.unsubscribed.has(compact(parent.left))) {
+                report(`Subscription to ${source} stored in ${compact(parent.left)} is never unsubscribed ` +
+                  `in ngOnDestroy of ${component.name}`);
+              }
+              return;
+            }
+            const collection = t.isCallExpression(parent) && t.isMemberExpression(parent.callee) &&
+              COLLECTING_METHODS.includes(parent.callee.property.name) ? parent.callee.object : null;
+            if (collection) {
+              if (!destroyed.unsubscribed.has(compact(collection))) {
+                report(`Subscriptions collected in ${compact(collection)} are never unsubscribed ` +
+                  `in ngOnDestroy of ${component.name}`);
+              }
+              return;
+            }
+
+            report(`Subscription to ${source} in ${component.name} is never unsubscribed, ` +
+              'so it outlives the component');
+          }
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,83 @@
+const t = require('@babel/types');
+
+// Functions creating signals, which templates read by calling them
+const SIGNAL_FACTORIES = [
+  'signal', 'computed', 'linkedSignal', 'input', 'input.required', 'model', 'model.required', 'toSignal',
+  'viewChild', 'viewChild.required', 'viewChildren', 'contentChild', 'contentChild.required', 'contentChildren'
+];
+// Template-only helpers that cost nothing
+const TEMPLATE_FUNCTIONS = ['$any'];
+
+module.exports = {
+  id: 'angular-template-calls',
+  meta: {
+    category: 'angular',
+    framework: 'angular',
+    severity: 'medium',
+    description: 'Function calls in Angular template bindings, which run on every change detection cycle'
+  },
+
+  create(context) {
+    const { analyzer, filePath, code } = context;
+    const parser = analyzer.angularParser;
+    const nameOf = node => analyzer.complexityAnalyzer.getExpressionName(node) || '';
+
+    // Names of the signal fields of a component class
+    const signalsOf = path => new Set(path.node.body.body
+      .filter(member => t.isClassProperty(member) && t.isIdentifier(member.key) &&
+        t.isCallExpression(member.value) && SIGNAL_FACTORIES.includes(nameOf(member.value.callee)))
+      .map(member => member.key.name));
+
+    // Expression a binding evaluates on every check: interpolations,
+    // `[prop]` bindings and structural directives, but not `(event)` handlers
+    const bindingOf = ({ kind, code: text, attribute }) => {
+      if (kind === 'interpolation') return text;
+      const { name } = attribute;
+      if (name === '*ngFor') return parser.parseNgFor(attribute)?.source || null;
+      if (name.startsWith('*')) return text.split(';')[0];
+      if ((name.startsWith('[') && !name.startsWith('[(')) || name.startsWith('bind-')) return text;
+      return null;
+    };
+
+    return {
+      'ClassDeclaration|ClassExpression'(path) {
+        const component = analyzer.getAngularClass(path);
+        if (component?.decorator !== 'Component') return;
+        const template = analyzer.getAngularTemplate(component, filePath, code);
+        if (!template) return;
+        const signals = signalsOf(path);
+        const onPush = Boolean(analyzer.getMetadataProperty(component.metadata, 'changeDetection'));
+
+        template.template.expressions.forEach(expression => {
+          const binding = bindingOf(expression);
+          const ast = binding && parser.parseBinding(binding);
+          if (!ast) return;
+
+          let call = null;
+          t.traverseFast(ast, node => {
+            if (call || (!t.isCallExpression(node) && !t.isOptionalCallExpression(node))) return;
+            const name = nameOf(node.callee);
+            // Reading a signal, `count()`, is how templates are meant to use them
+            if (TEMPLATE_FUNCTIONS.includes(name) || (signals.has(name) && node.arguments.length === 0)) return;
+            call = name ? `${name}()` : `${binding.slice(node.callee.start, node.callee.end)}()`;
+          });
+          if (!call) return;
+
+          const where = expression.kind === 'interpolation' ? '{{ }}' : expression.attribute.name;
+          const { node, location } = analyzer.getAngularTemplateLocation(component, template, expression);
+          context.report({
+            node,
+            severity: onPush ? 'low' : undefined,
+            message: `${call} in ${where} of ${component.name}${location ? ` (${location})` : ''} ` +
+              'runs on every change detection cycle',
+            suggestion: 'Compute the value when its inputs change (a field, a computed signal, or a pure pipe) ' +
+              'and bind to that',
+            impact: 'Change detection time',
+            component: component.name,
+            expression: binding.trim()
+          });
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,35 @@
+module.exports = {
+  id: 'array-chain',
+  meta: {
+    category: 'performance',
+    severity: 'medium',
+    description: 'Array method chains longer than `maxLength` calls',
+    defaultOptions: { maxLength: 3 }
+  },
+
+  create(context) {
+    const { analyzer, options } = context;
+
+    return {
+      CallExpression(path) {
+        if (!analyzer.isArrayMethodChain(path)) return;
+
+        // Only the last call of a chain reports, with the full length
+        const { parentPath } = path;
+        if (parentPath.isMemberExpression({ object: path.node }) &&
+            parentPath.parentPath.isCallExpression({ callee: parentPath.node })) {
+          return;
+        }
+
+        const chainLength = analyzer.getChainLength(path);
+        if (chainLength > options.maxLength) {
+          context.report({
+            node: path.node,
+            message: `Long array method chain (${chainLength} methods)`,
+            suggestion: 'Consider combining operations or using for-loop for better performance'
+          });
+        }
+      }
+    };
+  }
+};
@@ -0,0 +1,31 @@
+module.exports = {
+  id: 'async-foreach',
+  meta: {
+    category: 'async',
+    severity: 'high',
+    description: 'Async callbacks passed to forEach, whose promises are dropped'
+  },
+
+  create(context) {
+    const { analyzer } = context;
+
+    return {
+      CallExpression(path) {
+        const { callee } = path.node;
+        if (!callee.property || callee.computed || callee.property.name !== 'forEach') return;
+        const argument = path.get('arguments.0');
+        const callback = analyzer.resolveHandler(argument);
+        if (!callback?.node.async || (!argument.isFunction() && !argument.isIdentifier())) return;
+
+        context.report({
+          node: argument.node,
+          message: 'forEach() doesn\'t wait for its async callback: the code after it runs before the callbacks ' +
+            'finish, and their errors become unhandled rejections',
+          suggestion: 'Use for...of with await to run them in order, ' +
+            'or await Promise.all(items.map(async item => ...)) to run them together',
+          impact: 'Work finishing after the caller returns, unhandled rejections'
+        });
+      }
+    };
+  }
+};
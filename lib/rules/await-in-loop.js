@@ -0,0 +1,94 @@
+const t = require('@babel/types');
+
+// Awaits that pause on purpose, e.g. to stay under a rate limit
+const DELAY_CALLS = /^(sleep|delay|wait|timeout|setTimeout|throttle)$/i;
+
+module.exports = {
+  id: 'await-in-loop',
+  meta: {
+    category: 'async',
+    severity: 'medium',
+    description: 'Awaits in for, for...of and for...in loops whose iterations could run concurrently'
+  },
+
+  create(context) {
+    const { analyzer, code } = context;
+    const nameOf = node => (analyzer.complexityAnalyzer.getExpressionName(node) || '').split('.').pop();
+    // Loops already reported, once per loop
+    const reported = new WeakSet();
+
+    // Whether each iteration of `loop` needs the previous one: it exits
+    // early, waits on purpose, or awaits values an earlier iteration assigned
+    const dependsOnPrevious = loop => {
+      const assigned = new Set();
+      const awaited = [];
+      let sequential = false;
+
+      loop.get('body').traverse({
+        Function: inner => inner.skip(),
+        'BreakStatement|ReturnStatement': inner => {
+          // `break` out of an inner loop or switch keeps iterating
+          const target = inner.isReturnStatement() || inner.node.label
+            ? loop
+            : inner.findParent(parent => parent.isLoop() || parent.isSwitchStatement());
+          if (target === loop) sequential = true;
+        },
+        AwaitExpression: inner => {
+          const { argument } = inner.node;
+          if (t.isCallExpression(argument) && DELAY_CALLS.test(nameOf(argument.callee))) sequential = true;
+          // `await new Promise(resolve => setTimeout(resolve, 100))`
+          if (t.isNewExpression(argument) && code.slice(argument.start, argument.end).includes('setTimeout')) {
+            sequential = true;
+          }
+          awaited.push(inner.node.argument);
+        },
+        'AssignmentExpression|UpdateExpression': inner => {
+          const target = inner.isAssignmentExpression() ? inner.node.left : inner.node.argument;
+          const { body } = loop.node;
+          Object.keys(t.getBindingIdentifiers(target)).forEach(name => {
+            // Only variables declared outside the body carry over
+            const declaration = inner.scope.getBinding(name)?.identifier;
+            if (!declaration || declaration.start < body.start || declaration.end > body.end) assigned.add(name);
+          });
+        }
+      });
+      if (sequential) return true;
+
+      const reads = node => {
+        let found = false;
+        t.traverseFast(node, inner => {
+          if (t.isIdentifier(inner) && assigned.has(inner.name)) found = true;
+        });
+        return found;
+      };
+      // `for (; hasMore;)` stops on a value the body sets
+      return awaited.some(reads) || (loop.isForStatement() && Boolean(loop.node.test) && reads(loop.node.test));
+    };
+
+    return {
+      AwaitExpression(path) {
+        const loop = path.findParent(parent => parent.isLoop() || parent.isFunction());
+        if (!loop || !(loop.isForStatement() || loop.isForOfStatement() || loop.isForInStatement())) return;
+        // `for await` consumes a stream, and the loop head runs once
+        if (loop.node.await || !path.isDescendant(loop.get('body')) || reported.has(loop.node)) return;
+        reported.add(loop.node);
+        if (dependsOnPrevious(loop)) return;
+
+        const kind = loop.isForStatement() ? 'for' : loop.isForOfStatement() ? 'for...of' : 'for...in';
+        const items = loop.isForOfStatement() ? code.slice(loop.node.right.start, loop.node.right.end) : null;
+        context.report({
+          node: path.node,
+          message: `await in a ${kind} loop waits for each iteration to finish before starting the next, ` +
+            'although the iterations don\'t depend on each other',
+          suggestion: items && /^[\w$.]+$/.test(items)
+            ? `Start the iterations together with await Promise.all(${items}.map(async item => ...)), ` +
+              'in batches if the work must be rate-limited'
+            : 'Collect the promises and await them together with Promise.all, ' +
+              'in batches if the work must be rate-limited',
+          impact: 'Total latency is the sum of every iteration instead of the slowest one',
+          loop: kind
+        });
+      }
+    };
+  }
+};
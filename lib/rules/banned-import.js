@@ -0,0 +1,45 @@
+const t = require('@babel/types');
+
+module.exports = {
+  id: 'banned-import',
+  meta: {
+    category: 'dependencies',
+    severity: 'high',
+    description: 'Imports of packages marked `banned` in the library knowledge base'
+  },
+
+  create(context) {
+    const { analyzer } = context;
+
+    const check = (node, source) => {
+      const library = analyzer.getLibraryInfo(source);
+      if (!library?.banned) return;
+
+      context.report({
+        node,
+        message: `Banned package: ${library.name}${library.reason ? ` - ${library.reason}` : ''}`,
+        suggestion: library.alternatives?.length > 0 || library.migration
+          ? analyzer.suggestAlternative(source)
+          : 'Remove the dependency or replace it with an approved package',
+        library: library.name,
+        alternatives: library.alternatives || []
+      });
+    };
+
+    return {
+      'ImportDeclaration|ExportNamedDeclaration|ExportAllDeclaration'(path) {
+        const { node } = path;
+        if (node.source && node.importKind !== 'type' && node.exportKind !== 'type') {
+          check(node, node.source.value);
+        }
+      },
+
+      CallExpression(path) {
+        const { callee, arguments: args } = path.node;
+        if (!t.isStringLiteral(args[0])) return;
+        const isRequire = t.isIdentifier(callee, { name: 'require' }) && !path.scope.hasBinding('require');
+        if (isRequire || t.isImport(callee)) check(path.node, args[0].value);
+      }
+    };
+  }
+};
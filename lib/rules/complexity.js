@@ -0,0 +1,38 @@
+module.exports = {
+  id: 'complexity',
+  meta: {
+    category: 'complexity',
+    severity: 'medium',
+    description: 'Functions whose cyclomatic or cognitive complexity exceeds the configured maximum',
+    defaultOptions: { maxCyclomatic: 10, maxCognitive: 15 }
+  },
+
+  create(context) {
+    const { maxCyclomatic, maxCognitive } = context.options;
+
+    return {
+      Function(path) {
+        const metrics = context.analyzer.getFunctionMetrics(path);
+        const exceeded = [];
+        if (metrics.cyclomatic > maxCyclomatic) {
+          exceeded.push(`cyclomatic complexity ${metrics.cyclomatic} (max ${maxCyclomatic})`);
+        }
+        if (metrics.cognitive > maxCognitive) {
+          exceeded.push(`cognitive complexity ${metrics.cognitive} (max ${maxCognitive})`);
+        }
+        if (exceeded.length === 0) return;
+
+        context.report({
+          node: path.node,
+          message: `Function ${metrics.name} (lines ${metrics.line}-${metrics.endLine}) has ${exceeded.join(' and ')}`,
+          suggestion: 'Extract branches into smaller functions or use early returns',
+          impact: 'Code maintainability, bug risk',
+          functionName: metrics.name,
+          endLine: metrics.endLine,
+          cyclomatic: metrics.cyclomatic,
+          cognitive: metrics.cognitive
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,24 @@
+module.exports = {
+  id: 'dom-in-loop',
+  meta: {
+    category: 'performance',
+    severity: 'high',
+    description: 'DOM reads and writes inside loops'
+  },
+
+  create(context) {
+    const { analyzer } = context;
+
+    return {
+      CallExpression(path) {
+        if (analyzer.isDOMManipulation(path) && analyzer.isInLoop(path)) {
+          context.report({
+            node: path.node,
+            message: 'DOM manipulation inside loop',
+            suggestion: 'Batch DOM updates outside the loop'
+          });
+        }
+      }
+    };
+  }
+};
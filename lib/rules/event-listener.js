@@ -0,0 +1,31 @@
+module.exports = {
+  id: 'event-listener',
+  meta: {
+    category: 'memory',
+    severity: 'medium',
+    description: 'addEventListener calls with no matching removeEventListener'
+  },
+
+  create(context) {
+    const { analyzer, sfc } = context;
+
+    return {
+      CallExpression(path) {
+        if (analyzer.isEventListener(path.node) && !analyzer.hasEventCleanup(path) &&
+            // Vue and Svelte mount code is left to the lifecycle cleanup rules
+            !analyzer.runsOnComponentMount(path, sfc)) {
+          const { label } = analyzer.getTeardown(path);
+          context.report({
+            node: path.node,
+            message: 'Event listener without cleanup',
+            suggestion: label
+              ? `Remove it in ${label}, with removeEventListener and the same target, event and handler`
+              : 'Add removeEventListener in cleanup function',
+            // Inside a React effect: return a cleanup function
+            fix: analyzer.getEffectCleanupFix(path, context.code)
+          });
+        }
+      }
+    };
+  }
+};
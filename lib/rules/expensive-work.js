@@ -0,0 +1,35 @@
+const t = require('@babel/types');
+
+// What counts as expensive work in code that reruns (render functions,
+// templates, reactive statements), shared by the framework rules and the
+// analyzer
+
+// Array methods whose cost is worth keeping out of reruns on their own
+const EXPENSIVE_METHODS = ['filter', 'sort', 'toSorted', 'reduce', 'reduceRight', 'flat', 'flatMap'];
+// Array methods that are expensive when their callback iterates again
+const ITERATING_METHODS = ['map', 'forEach', 'find', 'findIndex', 'some', 'every'];
+const EXPENSIVE_CALLS = ['JSON.parse', 'JSON.stringify', 'structuredClone'];
+// Loop statements as they are named in messages
+const LOOP_KINDS = {
+  ForStatement: 'for',
+  ForOfStatement: 'for...of',
+  ForInStatement: 'for...in',
+  WhileStatement: 'while',
+  DoWhileStatement: 'do...while'
+};
+
+// Whether a callback node loops or iterates an array itself
+function iteratesAgain(callback) {
+  if (!t.isFunction(callback)) return false;
+  let found = false;
+  t.traverseFast(callback.body, node => {
+    if (t.isLoop(node)) found = true;
+    if (t.isCallExpression(node) && t.isMemberExpression(node.callee) && !node.callee.computed &&
+        [...EXPENSIVE_METHODS, ...ITERATING_METHODS].includes(node.callee.property.name)) {
+      found = true;
+    }
+  });
+  return found;
+}
+
+module.exports = { EXPENSIVE_METHODS, ITERATING_METHODS, EXPENSIVE_CALLS, LOOP_KINDS, iteratesAgain };
@@ -0,0 +1,65 @@
+const t = require('@babel/types');
+
+module.exports = {
+  id: 'floating-promise',
+  meta: {
+    category: 'async',
+    severity: 'medium',
+    description: 'Promises that are neither awaited, returned nor given a rejection handler'
+  },
+
+  create(context) {
+    const { analyzer } = context;
+
+    // Whether an async function catches everything it could throw: its body
+    // is a single `try { ... } catch {}`
+    const cannotReject = fn => {
+      const { body } = fn.node;
+      return t.isBlockStatement(body) && body.body.length === 1 && t.isTryStatement(body.body[0]) &&
+        Boolean(body.body[0].handler);
+    };
+
+    return {
+      ExpressionStatement(path) {
+        const expression = path.get('expression');
+        if (!expression.isCallExpression() && !expression.isNewExpression()) return;
+
+        // `promise.then(...)` chains: handled by `.catch()` or a second
+        // `.then()` argument anywhere in the chain
+        const { callee } = expression.node;
+        const method = t.isMemberExpression(callee) && !callee.computed ? callee.property.name : null;
+        if (['then', 'catch', 'finally'].includes(method)) {
+          let handled = false;
+          for (let call = expression.node; t.isCallExpression(call) && t.isMemberExpression(call.callee);
+            call = call.callee.object) {
+            const name = call.callee.property.name;
+            if (name === 'catch' || (name === 'then' && call.arguments.length > 1)) handled = true;
+          }
+          if (handled) return;
+          context.report({
+            node: expression.node,
+            message: `The promise chain ending in .${method}() has no rejection handler`,
+            suggestion: 'Add a .catch() at the end of the chain, or await it inside try/catch',
+            impact: 'Unhandled rejections, which end the process in Node.js'
+          });
+          return;
+        }
+
+        const promise = analyzer.getPromiseCall(expression);
+        if (!promise) return;
+        const fn = expression.isCallExpression() ? analyzer.getCalledFunction(expression) : null;
+        if (fn && cannotReject(fn)) return;
+
+        const inAsync = path.getFunctionParent()?.node.async;
+        context.report({
+          node: expression.node,
+          message: `The promise from ${promise} is neither awaited nor handled, so nothing waits for it ` +
+            'and its errors are lost',
+          suggestion: `${inAsync ? 'Await' : 'Return'} it, or add a .catch() and prefix it with \`void\` ` +
+            'if it is meant to run in the background',
+          impact: 'Unhandled rejections, work finishing in an unexpected order'
+        });
+      }
+    };
+  }
+};
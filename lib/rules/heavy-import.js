@@ -0,0 +1,51 @@
+const t = require('@babel/types');
+
+const kilobytes = bytes => `${(bytes / 1024).toFixed(1)} KB`;
+
+module.exports = {
+  id: 'heavy-import',
+  meta: {
+    category: 'bundle',
+    severity: 'medium',
+    description: 'Imports of packages whose minified size exceeds a threshold',
+    // Minified bytes, measured from the installed package and its dependencies.
+    // Knowledge base entries can set their own `maxSize`.
+    defaultOptions: { maxSize: 50 * 1024 }
+  },
+
+  create(context) {
+    const { analyzer, options } = context;
+
+    return {
+      ImportDeclaration(path) {
+        const { node } = path;
+        if (node.importKind === 'type') return;
+
+        const source = node.source.value;
+        // Named imports from ES modules only bundle what they use, which the
+        // package size doesn't tell
+        const specifiers = node.specifiers.filter(s => s.importKind !== 'type');
+        if (specifiers.length > 0 && specifiers.every(s => t.isImportSpecifier(s)) &&
+            analyzer.isTreeShakable(source, context.filePath)) return;
+
+        const size = analyzer.getLibrarySize(source, context.filePath);
+        const maxSize = analyzer.getLibraryInfo(source)?.maxSize ?? options.maxSize;
+        if (!size || size.minified <= maxSize) return;
+
+        const measured = size.measured
+          ? `${kilobytes(size.minified)} minified, ${kilobytes(size.gzip)} gzipped`
+          : `~${kilobytes(size.minified)} minified, not installed`;
+        const alternative = analyzer.suggestAlternative(source);
+        context.report({
+          node,
+          message: `Heavy dependency: ${source} (${measured})`,
+          suggestion: alternative,
+          library: source,
+          size,
+          estimatedSize: size.minified,
+          alternative
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,43 @@
+// Built-in rules, in the order they are registered and reported
+module.exports = [
+  require('./nested-loop'),
+  require('./array-chain'),
+  require('./dom-in-loop'),
+  require('./await-in-loop'),
+  require('./sequential-await'),
+  require('./async-foreach'),
+  require('./floating-promise'),
+  require('./n-plus-one'),
+  require('./redos'),
+  require('./event-listener'),
+  require('./timer'),
+  require('./heavy-import'),
+  require('./tree-shaking'),
+  require('./banned-import'),
+  require('./react-memo'),
+  require('./react-inline-props'),
+  require('./react-expensive-render'),
+  require('./react-hook-deps'),
+  require('./react-effect-set-state'),
+  require('./react-list-key'),
+  require('./react-large-list'),
+  require('./react-context-value'),
+  require('./react-selector-identity'),
+  require('./vue-for-key'),
+  require('./vue-if-with-for'),
+  require('./vue-template-computation'),
+  require('./vue-deep-watch'),
+  require('./vue-lifecycle-cleanup'),
+  require('./svelte-each-key'),
+  require('./svelte-reactive-computation'),
+  require('./svelte-store-subscription'),
+  require('./svelte-lifecycle-cleanup'),
+  require('./angular-onpush'),
+  require('./angular-subscription'),
+  require('./angular-template-calls'),
+  require('./angular-ngfor-trackby'),
+  require('./node-blocking-call'),
+  require('./complexity'),
+  require('./maintainability'),
+  ...require('./metrics')
+];
@@ -0,0 +1,161 @@
+const t = require('@babel/types');
+
+// Timers that end by themselves; left running they only fire late
+const ONE_SHOT_TIMERS = ['setTimeout', 'requestAnimationFrame'];
+
+// Visitors pairing the subscriptions a Vue or Svelte component makes while
+// it mounts with the cleanup calls of its unmount hooks, shared by the
+// framework lifecycle rules. Listeners and timers are matched by identity
+// (see AdvancedCodeAnalyzer#hasEventCleanup and #hasTimerCleanup) against
+// the unmount hooks. `cleanupIn` names where cleanup belongs, for
+// suggestions. `kinds` picks the subscriptions checked: 'listener', 'timer'
+// and 'store' (`store.subscribe()`, undone by calling what it returns).
+function createLifecycleCleanup(context, { framework, cleanupIn, kinds }) {
+  const { analyzer, code, sfc } = context;
+  const getHook = path => analyzer.getLifecycleHook(path, sfc);
+  const compact = node => code.slice(node.start, node.end).replace(/\s+/g, '');
+  const text = node => code.slice(node.start, node.end);
+  let enabled = false;
+  // Subscriptions made in mount hooks, unmount hook functions, and the
+  // unsubscribe functions they call
+  let subscriptions = [];
+  let teardown = [];
+  let cleanups = new Set();
+
+  // Where the value a call returns is kept, e.g. `this.timer`, or null
+  const storedIn = path => {
+    const { node, parent } = path;
+    if (t.isVariableDeclarator(parent) && parent.init === node) return compact(parent.id);
+    if (t.isAssignmentExpression(parent, { operator: '=' }) && parent.right === node) return compact(parent.left);
+    return null;
+  };
+
+  // Cleanups registered by reference: `onDestroy(unsubscribe)`, or
+  // `return unsubscribe` from a mount callback
+  const addReferenceCleanup = path => {
+    if (!path.isIdentifier() && !path.isMemberExpression()) return;
+    cleanups.add(compact(path.node));
+    const fn = analyzer.resolveHandler(path);
+    if (fn?.isFunction()) teardown.push(fn);
+  };
+
+  const subscribe = (path, hook, name) => {
+    const { node } = path;
+    const method = name.split('.').pop();
+
+    if (kinds.includes('listener') && analyzer.isEventListener(node)) {
+      const [type, handler] = node.arguments;
+      if (!type || !handler) return;
+      const target = text(node.callee.object);
+      const inline = t.isFunction(handler) || t.isCallExpression(handler);
+      subscriptions.push({
+        node,
+        cleaned: () => analyzer.hasEventCleanup(path, teardown),
+        hook: hook.name,
+        message: inline
+          ? `${target}.addEventListener() in ${hook.name} takes an inline handler, ` +
+            'which can\'t be removed when the component unmounts'
+          : `${target}.addEventListener() in ${hook.name} is never removed when the component unmounts`,
+        suggestion: inline
+          ? `Keep the handler in a method or variable and remove it with removeEventListener in ${cleanupIn}`
+          : `Call removeEventListener with the same target, event and handler in ${cleanupIn}`
+      });
+    } else if (kinds.includes('timer') && analyzer.isTimer(node)) {
+      const clear = analyzer.getTimerClear(name);
+      subscriptions.push({
+        node,
+        cleaned: () => analyzer.hasTimerCleanup(path, teardown),
+        hook: hook.name,
+        severity: ONE_SHOT_TIMERS.includes(name) ? 'low' : undefined,
+        message: analyzer.getTimerHandles(path).length > 0
+          ? `${name}() in ${hook.name} is never cleared when the component unmounts`
+          : `${name}() in ${hook.name} discards its ID, so it can't be cleared when the component unmounts`,
+        suggestion: `Store the ID and call ${clear}() with it in ${cleanupIn}`
+      });
+    } else if (kinds.includes('store') && method === 'subscribe' && t.isMemberExpression(node.callee) &&
+               node.arguments.length > 0) {
+      // `return store.subscribe(...)` from a mount callback is its cleanup
+      if (path.parentPath.isReturnStatement() || path.parentPath.isArrowFunctionExpression({ body: node })) return;
+      const store = text(node.callee.object);
+      const unsubscribe = storedIn(path);
+      subscriptions.push({
+        node,
+        cleaned: () => Boolean(unsubscribe) && cleanups.has(unsubscribe),
+        hook: hook.name,
+        message: unsubscribe
+          ? `${store}.subscribe() in ${hook.name} is never unsubscribed when the component unmounts`
+          : `${store}.subscribe() in ${hook.name} discards its unsubscribe function, ` +
+            'so the subscription outlives the component',
+        suggestion: `Read the store with the $${store.split('.').pop()} auto-subscription, ` +
+          `or call the function subscribe() returns in ${cleanupIn}`
+      });
+    }
+  };
+
+  return {
+    Program: {
+      enter(path) {
+        enabled = framework === 'svelte' ? sfc?.framework === 'svelte' : analyzer.usesVue(path, sfc);
+        subscriptions = [];
+        teardown = [];
+        cleanups = new Set();
+      },
+
+      exit() {
+        subscriptions.forEach(({ node, cleaned, hook, severity, message, suggestion }) => {
+          if (cleaned()) return;
+          context.report({
+            node,
+            severity,
+            message,
+            suggestion,
+            impact: 'Memory leak, work continuing after the component is gone',
+            hook
+          });
+        });
+      }
+    },
+
+    // `return unsubscribe` from a Svelte `onMount` callback
+    ReturnStatement(path) {
+      if (enabled && framework === 'svelte' && getHook(path)?.phase === 'mount' && path.getFunctionParent()) {
+        addReferenceCleanup(path.get('argument'));
+      }
+    },
+
+    // Unmount hooks: `beforeUnmount() {}`, `onUnmounted(() => ...)`,
+    // `onDestroy(() => ...)` and functions returned from `onMount`
+    Function(path) {
+      if (enabled && getHook(path.get('body'))?.phase === 'unmount' && getHook(path)?.phase !== 'unmount') {
+        teardown.push(path);
+      }
+    },
+
+    CallExpression(path) {
+      if (!enabled) return;
+      const { node } = path;
+      const name = analyzer.complexityAnalyzer.getExpressionName(node.callee) || '';
+      const hook = getHook(path);
+      // `onDestroy(unsubscribe)`
+      if (analyzer.getLifecyclePhase(name, framework) === 'unmount' && node.arguments[0] &&
+          !t.isFunction(node.arguments[0])) {
+        addReferenceCleanup(path.get('arguments.0'));
+      }
+      if (!hook) return;
+      if (hook.phase === 'mount') {
+        subscribe(path, hook, name);
+        return;
+      }
+
+      if (node.arguments.length === 0) {
+        // `unsubscribe()`, or `subscription.unsubscribe()` for observables
+        const callee = t.isMemberExpression(node.callee) && name.endsWith('.unsubscribe')
+          ? node.callee.object
+          : node.callee;
+        if (t.isIdentifier(callee) || t.isMemberExpression(callee)) cleanups.add(compact(callee));
+      }
+    }
+  };
+}
+
+module.exports = createLifecycleCleanup;
@@ -0,0 +1,48 @@
+module.exports = {
+  id: 'maintainability',
+  meta: {
+    category: 'maintainability',
+    severity: 'medium',
+    description: 'Files and functions with a low maintainability index or high Halstead volume/effort',
+    // `null` turns a threshold off
+    defaultOptions: { minIndex: 20, maxVolume: null, maxEffort: null }
+  },
+
+  create(context) {
+    const { minIndex, maxVolume, maxEffort } = context.options;
+
+    const check = (metrics, node, subject) => {
+      const problems = [];
+      if (minIndex != null && metrics.maintainabilityIndex < minIndex) {
+        problems.push(`maintainability index ${metrics.maintainabilityIndex} (min ${minIndex})`);
+      }
+      if (maxVolume != null && metrics.halstead.volume > maxVolume) {
+        problems.push(`Halstead volume ${metrics.halstead.volume} (max ${maxVolume})`);
+      }
+      if (maxEffort != null && metrics.halstead.effort > maxEffort) {
+        problems.push(`Halstead effort ${metrics.halstead.effort} (max ${maxEffort})`);
+      }
+      if (problems.length === 0) return;
+
+      context.report({
+        node,
+        message: `${subject} has ${problems.join(' and ')}`,
+        suggestion: 'Refactor first: split it up and reduce the number of distinct operations',
+        impact: 'Code maintainability, refactoring cost',
+        maintainabilityIndex: metrics.maintainabilityIndex,
+        halstead: metrics.halstead
+      });
+    };
+
+    return {
+      Program(path) {
+        check(context.analyzer.getFileMetrics(path), path.node, 'File');
+      },
+
+      Function(path) {
+        const metrics = context.analyzer.getFunctionMetrics(path);
+        check(metrics, path.node, `Function ${metrics.name} (lines ${metrics.line}-${metrics.endLine})`);
+      }
+    };
+  }
+};
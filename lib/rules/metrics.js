@@ -0,0 +1,61 @@
+// File-level and cross-file checks evaluated by the CLI rather than from AST
+// visitors; registered so they share IDs, levels and options
+module.exports = [
+  {
+    id: 'file-size',
+    meta: {
+      category: 'size',
+      severity: 'high',
+      description: 'Files larger than `maxSize` bytes (defaults to thresholds.fileSize)'
+    }
+  },
+  {
+    id: 'function-count',
+    meta: {
+      category: 'maintainability',
+      severity: 'medium',
+      description: 'Files declaring more than `max` functions (defaults to thresholds.functions)'
+    }
+  },
+  {
+    id: 'duplicated-code',
+    meta: {
+      category: 'duplication',
+      severity: 'medium',
+      description: 'Code blocks of at least `minTokens` tokens copied across files, including copies with renamed identifiers',
+      defaultOptions: { minTokens: 50 }
+    }
+  },
+  {
+    id: 'circular-dependency',
+    meta: {
+      category: 'dependencies',
+      severity: 'high',
+      description: 'Circular chains of imports, re-exports, require() calls and dynamic import()s between project files'
+    }
+  },
+  {
+    id: 'unused-file',
+    meta: {
+      category: 'dead-code',
+      severity: 'medium',
+      description: 'Files no entry point reaches (--unused)'
+    }
+  },
+  {
+    id: 'unused-export',
+    meta: {
+      category: 'dead-code',
+      severity: 'low',
+      description: 'Named exports no other file imports (--unused)'
+    }
+  },
+  {
+    id: 'todo-comments',
+    meta: {
+      category: 'maintenance',
+      severity: 'low',
+      description: 'TODO, FIXME and XXX comments'
+    }
+  }
+];
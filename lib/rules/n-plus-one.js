@@ -0,0 +1,198 @@
+const t = require('@babel/types');
+
+const PRISMA_OPERATIONS = [
+  'findUnique', 'findUniqueOrThrow', 'findFirst', 'findFirstOrThrow', 'findMany', 'create', 'createMany',
+  'update', 'updateMany', 'upsert', 'delete', 'deleteMany', 'count', 'aggregate', 'groupBy'
+];
+// Static model methods; the shared ones are labeled by whichever library the
+// file imports
+const SEQUELIZE_METHODS = ['findByPk', 'findAll', 'findOrCreate', 'findAndCountAll', 'bulkCreate', 'destroy'];
+const MONGOOSE_METHODS = [
+  'find', 'findById', 'findByIdAndUpdate', 'findByIdAndDelete', 'findOneAndUpdate', 'findOneAndDelete',
+  'updateOne', 'updateMany', 'deleteOne', 'deleteMany', 'countDocuments', 'exists', 'aggregate', 'insertMany'
+];
+const TYPEORM_METHODS = [
+  'find', 'findBy', 'findOne', 'findOneBy', 'findOneOrFail', 'findOneByOrFail', 'findAndCount', 'count',
+  'save', 'insert', 'update', 'delete', 'remove', 'query'
+];
+const SHARED_MODEL_METHODS = ['findOne', 'count', 'create', 'update', 'upsert'];
+// Calls running a TypeORM query builder
+const QUERY_BUILDER_RESULTS = [
+  'getOne', 'getMany', 'getRawOne', 'getRawMany', 'getCount', 'getManyAndCount', 'execute'
+];
+const AXIOS_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'request'];
+const WRITE_METHOD = /^(create|insert|update|upsert|delete|destroy|remove|save|bulk)/i;
+const PLURALS = { query: 'queries', request: 'requests', call: 'calls' };
+
+// How to batch the calls of each client, for reads and for writes
+const BATCHING = {
+  Prisma: {
+    read: 'Load every row in one query with findMany({ where: { id: { in: ids } } }), or batch the lookups ' +
+      'with DataLoader',
+    write: 'Use createMany/updateMany/deleteMany, or run the operations in one $transaction'
+  },
+  Sequelize: {
+    read: 'Load every row in one findAll({ where: { id: ids } }) (an IN query), or batch the lookups with DataLoader',
+    write: 'Use bulkCreate, or one update/destroy whose where clause matches every row'
+  },
+  Mongoose: {
+    read: 'Load every document in one find({ _id: { $in: ids } }), or batch the lookups with DataLoader',
+    write: 'Use insertMany or bulkWrite'
+  },
+  TypeORM: {
+    read: 'Load every row in one findBy({ id: In(ids) }), or batch the lookups with DataLoader',
+    write: 'Save or insert an array of entities in one call'
+  },
+  knex: {
+    read: 'Load every row in one query with whereIn(\'id\', ids), or batch the lookups with DataLoader',
+    write: 'Insert an array of rows in one statement, or use whereIn for updates and deletes'
+  },
+  HTTP: {
+    read: 'Use a batch endpoint if the API has one; otherwise collect the requests with Promise.all and ' +
+      'limit their concurrency',
+    write: 'Use a bulk endpoint if the API has one; otherwise collect the requests with Promise.all and ' +
+      'limit their concurrency'
+  },
+  custom: {
+    read: 'Batch the calls into one (an IN query or a bulk endpoint), or use DataLoader',
+    write: 'Batch the calls into one bulk write'
+  }
+};
+
+module.exports = {
+  id: 'n-plus-one',
+  meta: {
+    category: 'performance',
+    severity: 'high',
+    description: 'Database queries and HTTP requests made once per item of a loop or array callback',
+    defaultOptions: { clients: [] }
+  },
+
+  create(context) {
+    const { analyzer, code, options } = context;
+    const nameOf = node => analyzer.complexityAnalyzer.getExpressionName(node) || code.slice(node.start, node.end);
+    // Libraries the file imports, to label shared model methods
+    let imported = new Set();
+
+    // Name a receiver is known by: `prisma` for `prisma` and `this.prisma`
+    const receiverName = node => {
+      if (t.isIdentifier(node)) return node.name;
+      return t.isMemberExpression(node) && !node.computed && t.isIdentifier(node.property) ? node.property.name : null;
+    };
+
+    // Call or `new` expression the variable `node` was initialized with
+    const factoryOf = (node, scope) => {
+      const init = t.isIdentifier(node) && scope.getBinding(node.name)?.path.node.init;
+      return t.isCallExpression(init) || t.isNewExpression(init) ? init : null;
+    };
+
+    // Module whose factory created the variable `node`: 'axios' for
+    // `const api = axios.create()`, '@prisma/client' for `new PrismaClient()`
+    const createdFrom = (node, scope) => {
+      const factory = factoryOf(node, scope);
+      return factory ? analyzer.getModuleMember(factory.callee, scope)?.source || null : null;
+    };
+
+    const fromModule = (node, scope, sources) => {
+      const member = analyzer.getModuleMember(node, scope);
+      return Boolean(member && !member.name && sources.includes(member.source)) ||
+        sources.includes(createdFrom(node, scope));
+    };
+
+    // `{ client, kind, call }` of a data-access call, with `kind` 'query',
+    // 'request' or 'call' and an optional label for the call; null for
+    // other calls
+    const describe = path => {
+      const { node, scope } = path;
+      const { callee } = node;
+
+      if (t.isIdentifier(callee)) {
+        if (callee.name === 'fetch' && (!scope.hasBinding('fetch') ||
+            fromModule(callee, scope, ['node-fetch', 'undici', 'cross-fetch']))) {
+          return { client: 'HTTP', kind: 'request' };
+        }
+        if (callee.name === 'axios' || fromModule(callee, scope, ['axios'])) return { client: 'HTTP', kind: 'request' };
+        // `knex('users').where(...)`
+        if (callee.name === 'knex' || fromModule(callee, scope, ['knex'])) return { client: 'knex', kind: 'query' };
+        return null;
+      }
+      if (!t.isMemberExpression(callee) || callee.computed || !t.isIdentifier(callee.property)) return null;
+      const method = callee.property.name;
+      const receiver = callee.object;
+      const name = receiverName(receiver);
+
+      if (options.clients.includes(name) || options.clients.includes(nameOf(receiver))) {
+        return { client: 'custom', kind: 'call' };
+      }
+      // `prisma.user.findUnique()`, `prisma.$queryRawUnsafe()`
+      if (t.isMemberExpression(receiver) && PRISMA_OPERATIONS.includes(method)) {
+        const client = receiver.object;
+        if (/prisma/i.test(receiverName(client) || '') || fromModule(client, scope, ['@prisma/client'])) {
+          return { client: 'Prisma', kind: 'query' };
+        }
+      }
+      if (/^\$(query|execute)/.test(method) && /prisma/i.test(name || '')) return { client: 'Prisma', kind: 'query' };
+
+      if (AXIOS_METHODS.includes(method) && (name === 'axios' || fromModule(receiver, scope, ['axios']))) {
+        return { client: 'HTTP', kind: 'request' };
+      }
+      if (name === 'knex' || fromModule(receiver, scope, ['knex'])) return { client: 'knex', kind: 'query' };
+
+      // TypeORM repositories and entity managers
+      const factory = factoryOf(receiver, scope);
+      const repository = /(repo|repository|manager)$/i.test(name || '') ||
+        Boolean(factory && /^get(Repository|Manager)$/.test(nameOf(factory.callee).split('.').pop()));
+      if (repository && TYPEORM_METHODS.includes(method)) return { client: 'TypeORM', kind: 'query' };
+      const builder = code.slice(callee.start, callee.end).includes('createQueryBuilder');
+      if (builder && QUERY_BUILDER_RESULTS.includes(method)) {
+        return { client: 'TypeORM', kind: 'query', call: `createQueryBuilder()...${method}()` };
+      }
+
+      // Models: `User.findByPk(id)`, declared or imported in the file
+      if (!t.isIdentifier(receiver) || !/^[A-Z]/.test(receiver.name) || !scope.getBinding(receiver.name)) return null;
+      if (SEQUELIZE_METHODS.includes(method)) return { client: 'Sequelize', kind: 'query' };
+      if (MONGOOSE_METHODS.includes(method)) return { client: 'Mongoose', kind: 'query' };
+      if (['findBy', 'findOneBy'].includes(method)) return { client: 'TypeORM', kind: 'query' };
+      if (SHARED_MODEL_METHODS.includes(method)) {
+        const client = ['Sequelize', 'Mongoose', 'TypeORM'].find(library => imported.has(library.toLowerCase()));
+        return client ? { client, kind: 'query' } : null;
+      }
+      return null;
+    };
+
+    return {
+      Program(path) {
+        imported = new Set();
+        t.traverseFast(path.node, node => {
+          if (t.isImportDeclaration(node)) imported.add(node.source.value);
+          if (t.isCallExpression(node) && t.isIdentifier(node.callee, { name: 'require' }) &&
+              t.isStringLiteral(node.arguments[0])) {
+            imported.add(node.arguments[0].value);
+          }
+        });
+      },
+
+      CallExpression(path) {
+        const iteration = analyzer.getIteration(path);
+        if (!iteration) return;
+        const access = describe(path);
+        if (!access) return;
+
+        const call = access.call || `${nameOf(path.node.callee)}()`;
+        const method = t.isMemberExpression(path.node.callee) ? path.node.callee.property.name : '';
+        const batching = BATCHING[access.client];
+        const what = access.kind === 'request'
+          ? 'one HTTP request'
+          : access.kind === 'query' ? `one ${access.client} query` : 'one call';
+        context.report({
+          node: path.node,
+          message: `${call} makes ${what} per item, in a ${iteration.kind} (N+1 ${PLURALS[access.kind]})`,
+          suggestion: WRITE_METHOD.test(method) ? batching.write : batching.read,
+          impact: 'A round trip per item; latency and load grow with the list',
+          client: access.client,
+          iteration: iteration.kind
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,33 @@
+const SUPERSCRIPTS = { 2: '²', 3: '³' };
+
+module.exports = {
+  id: 'nested-loop',
+  meta: {
+    category: 'performance',
+    severity: 'high',
+    description: 'Loops nested deeper than `maxDepth` levels',
+    defaultOptions: { maxDepth: 1 }
+  },
+
+  create(context) {
+    const { maxDepth } = context.options;
+
+    return {
+      Loop(path) {
+        // Report once, on the outermost loop of each nest
+        if (path.findParent(parent => parent.isLoop())) return;
+
+        const depth = context.analyzer.getLoopDepth(path);
+        if (depth <= maxDepth) return;
+
+        const power = SUPERSCRIPTS[depth] || `^${depth}`;
+        context.report({
+          node: path.node,
+          message: `Nested loops detected - O(n${power}) complexity`,
+          suggestion: 'Consider using Map/Set for lookups or optimize algorithm',
+          depth
+        });
+      }
+    };
+  }
+};
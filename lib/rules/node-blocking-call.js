@@ -0,0 +1,116 @@
+const t = require('@babel/types');
+
+// Modules whose `*Sync` functions block the event loop, and what to use
+// instead
+const BLOCKING_MODULES = {
+  fs: 'Use the fs.promises API (await readFile), or read the file once at startup',
+  child_process: 'Use exec/execFile/spawn with a callback or promisified, or move the work to a queue',
+  crypto: 'Use the callback or promisified version (pbkdf2, scrypt, generateKeyPair), which runs on the thread pool',
+  zlib: 'Use the callback or stream API of zlib',
+  bcrypt: 'Use the async bcrypt.hash/compare',
+  bcryptjs: 'Use the async bcrypt.hash/compare'
+};
+const JSON_CALLS = ['JSON.parse', 'JSON.stringify'];
+const RAISED = { low: 'medium', medium: 'high', high: 'high' };
+
+module.exports = {
+  id: 'node-blocking-call',
+  meta: {
+    category: 'node',
+    severity: 'medium',
+    description: 'Synchronous fs, child_process, crypto and zlib calls, and JSON on request bodies, in route handlers'
+  },
+
+  create(context) {
+    const { analyzer } = context;
+    const nameOf = node => analyzer.complexityAnalyzer.getExpressionName(node) || '';
+    // Calls already reported, from another handler or route
+    const reported = new WeakSet();
+
+    // Whether a JSON call's argument reads the body of `request`
+    const readsBody = (node, request) => {
+      let found = false;
+      t.traverseFast(node, inner => {
+        if (!t.isMemberExpression(inner) || !t.isIdentifier(inner.property) ||
+            !['body', 'rawBody'].includes(inner.property.name)) return;
+        let root = inner.object;
+        while (t.isMemberExpression(root)) root = root.object;
+        if (t.isIdentifier(root, { name: request })) found = true;
+      });
+      return found;
+    };
+
+    // Blocking call at `path`: `{ name, severity, suggestion }`, or null
+    const describe = (path, request) => {
+      const { node } = path;
+      const name = nameOf(node.callee);
+      if (JSON_CALLS.includes(name)) {
+        return request && node.arguments[0] && readsBody(node.arguments[0], request)
+          ? {
+            name,
+            severity: 'low',
+            suggestion: 'Let the body parser handle the request once, with a size limit, and stream large payloads'
+          }
+          : null;
+      }
+      const member = analyzer.getModuleMember(node.callee, path.scope);
+      if (!member?.name || !/Sync$/.test(member.name) || !BLOCKING_MODULES[member.source]) return null;
+      return {
+        name: `${member.source}.${member.name}`,
+        severity: 'medium',
+        suggestion: BLOCKING_MODULES[member.source]
+      };
+    };
+
+    // Reports the blocking calls `fn` makes, following calls to functions
+    // declared in the file. `via` lists the functions on the way there.
+    const scan = (fn, { route, request, via, looped, visited }) => {
+      visited.add(fn.node);
+      fn.traverse({
+        CallExpression: path => {
+          const repeated = looped || Boolean(analyzer.getIteration(path, fn));
+          const blocking = describe(path, via.length === 0 ? request : null);
+          if (blocking) {
+            if (reported.has(path.node)) return;
+            reported.add(path.node);
+            const through = via.length > 0 ? ` (through ${via.map(name => `${name}()`).join(' → ')})` : '';
+            context.report({
+              node: path.node,
+              severity: repeated ? RAISED[blocking.severity] : blocking.severity,
+              message: `${blocking.name}() blocks the event loop in the ${route} handler${through}` +
+                `${repeated ? ', once per loop iteration' : ''}`,
+              suggestion: blocking.suggestion,
+              impact: 'Latency of every concurrent request',
+              route,
+              call: blocking.name
+            });
+            return;
+          }
+
+          const { callee } = path.node;
+          if (!t.isIdentifier(callee)) return;
+          const target = analyzer.resolveHandler(path.get('callee'));
+          // Functions nested in `fn` are scanned with it
+          if (target && !visited.has(target.node) && !target.isDescendant(fn)) {
+            scan(target, { route, request, via: [...via, callee.name], looped: repeated, visited });
+          }
+        }
+      });
+    };
+
+    return {
+      CallExpression(path) {
+        analyzer.getRouteHandlers(path).forEach(({ route, handler }) => {
+          const [first] = handler.node.params;
+          scan(handler, {
+            route,
+            request: t.isIdentifier(first) ? first.name : null,
+            via: [],
+            looped: false,
+            visited: new WeakSet()
+          });
+        });
+      }
+    };
+  }
+};
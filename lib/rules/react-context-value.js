@@ -0,0 +1,43 @@
+const t = require('@babel/types');
+
+module.exports = {
+  id: 'react-context-value',
+  meta: {
+    category: 'react',
+    severity: 'high',
+    description: 'Context provider values recreated on every render, which re-render every consumer'
+  },
+
+  create(context) {
+    const { analyzer } = context;
+
+    return {
+      JSXAttribute(path) {
+        const { node } = path;
+        if (!t.isJSXIdentifier(node.name, { name: 'value' }) || !t.isJSXExpressionContainer(node.value)) return;
+        const contextName = analyzer.getProvidedContext(path.parentPath);
+        if (!contextName) return;
+
+        const component = analyzer.getEnclosingComponent(path);
+        if (!component || analyzer.isMemoizedInRender(path, component.render)) return;
+        const value = path.get('value.expression');
+        const kind = analyzer.getRenderValueKind(value, component.render);
+        if (!kind) return;
+
+        const provider = `<${analyzer.getJSXName(path.parent.name)}>`;
+        const described = value.isIdentifier() ? `\`${value.node.name}\`, a new ${kind}` : `a new inline ${kind}`;
+        context.report({
+          node: value.node,
+          message: `${provider} value is ${described} on every render of ${component.name}, ` +
+            `so every component reading ${contextName} re-renders with it`,
+          suggestion: component.kind === 'class'
+            ? 'Keep the value in state or an instance field so it changes only when its contents do'
+            : 'Wrap the value in useMemo (and its functions in useCallback) so consumers re-render only when it changes',
+          impact: 'Re-renders of every context consumer',
+          component: component.name,
+          context: contextName
+        });
+      }
+    };
+  }
+};
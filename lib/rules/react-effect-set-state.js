@@ -0,0 +1,82 @@
+const t = require('@babel/types');
+
+// Hooks whose second result updates the state in the first
+const STATE_HOOKS = ['useState', 'useReducer'];
+
+module.exports = {
+  id: 'react-effect-set-state',
+  meta: {
+    category: 'react',
+    severity: 'high',
+    description: 'State updates that run unconditionally in an effect that runs again because of them'
+  },
+
+  create(context) {
+    const { analyzer } = context;
+
+    // Whether `path` runs every time `callback` does: not behind a
+    // condition, loop or early return
+    const isUnconditional = (path, callback) => {
+      const guard = path.findParent(parent => parent === callback ||
+        parent.isIfStatement() || parent.isConditionalExpression() || parent.isLogicalExpression() ||
+        parent.isSwitchCase() || parent.isLoop() || parent.isTryStatement() || parent.isOptionalCallExpression());
+      if (guard !== callback) return false;
+
+      const statement = path.find(parent => parent.parent === callback.node.body);
+      if (!statement || !statement.isStatement()) return true;
+      return !statement.getAllPrevSiblings().some(sibling => {
+        let returns = sibling.isReturnStatement();
+        sibling.traverse({
+          Function: inner => inner.skip(),
+          ReturnStatement: inner => {
+            returns = true;
+            inner.stop();
+          }
+        });
+        return returns;
+      });
+    };
+
+    return {
+      CallExpression(path) {
+        const { callee } = path.node;
+        if (!t.isIdentifier(callee)) return;
+        const binding = path.scope.getBinding(callee.name);
+        const setter = analyzer.getHookBinding(binding);
+        if (!setter || !STATE_HOOKS.includes(setter.hook) || setter.index !== 1) return;
+
+        const callback = analyzer.getEffectCallback(path);
+        const owner = callback && analyzer.getHookOwner(callback.parentPath);
+        if (!owner || !isUnconditional(path, callback)) return;
+
+        const effect = callback.parentPath.node;
+        const hook = analyzer.getHookName(effect);
+        const deps = callback.parentPath.get('arguments.1');
+        const [state] = binding.path.node.id.elements;
+        let reason = null;
+
+        if (!deps?.node) {
+          reason = `a ${hook} with no dependency array`;
+        } else if (deps.isArrayExpression()) {
+          const elements = deps.get('elements').filter(element => element.node);
+          const updated = elements.find(element => t.isIdentifier(state) &&
+            element.isIdentifier({ name: state.name }) &&
+            element.scope.getBinding(state.name) === binding.path.scope.getBinding(state.name));
+          const unstable = elements.find(element => analyzer.getRenderValueKind(element, owner.render));
+          if (updated) reason = `a ${hook} that depends on \`${state.name}\`, which it updates`;
+          else if (unstable) reason = `a ${hook} whose dependency \`${context.code.slice(unstable.node.start, unstable.node.end)}\` changes on every render`;
+        }
+        if (!reason) return;
+
+        context.report({
+          node: path.node,
+          message: `${callee.name}() runs unconditionally in ${reason}, so ${owner.name} re-renders in a loop`,
+          suggestion: 'Guard the update with a condition, or compute the value during render instead of storing it in state',
+          impact: 'Render loops, frozen UI',
+          hook,
+          setter: callee.name
+        });
+      }
+    };
+  }
+};
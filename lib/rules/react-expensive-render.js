@@ -0,0 +1,74 @@
+const t = require('@babel/types');
+const {
+  EXPENSIVE_METHODS, ITERATING_METHODS, EXPENSIVE_CALLS, LOOP_KINDS, iteratesAgain
+} = require('./expensive-work');
+
+module.exports = {
+  id: 'react-expensive-render',
+  meta: {
+    category: 'react',
+    severity: 'medium',
+    description: 'Loops, sorting, filtering and serialization in a component body that run on every render'
+  },
+
+  create(context) {
+    const { analyzer } = context;
+
+    // What makes a call expensive, e.g. `items.filter()`, or null
+    const describeCall = path => {
+      const { callee } = path.node;
+      const name = analyzer.complexityAnalyzer.getExpressionName(callee) || '';
+      if (EXPENSIVE_CALLS.includes(name)) return `${name}() call`;
+      if (!t.isMemberExpression(callee) || callee.computed) return null;
+
+      const method = callee.property.name;
+      const expensive = EXPENSIVE_METHODS.includes(method) ||
+        (ITERATING_METHODS.includes(method) && iteratesAgain(path.node.arguments[0]));
+      if (!expensive) return null;
+      // Chains are named by their last call: `.sort()` in `a.slice().sort()`
+      return t.isCallExpression(callee.object) ? `.${method}() call` : `${name}() call`;
+    };
+
+    // Render function `path` runs in directly, outside any callback
+    const renderOf = path => {
+      const fn = path.getFunctionParent();
+      const component = fn && analyzer.getEnclosingComponent(path);
+      return component && component.render === fn ? component : null;
+    };
+
+    const report = (path, component, what) => {
+      context.report({
+        node: path.node,
+        message: `Expensive ${what} runs on every render of ${component.name}`,
+        suggestion: component.kind === 'class'
+          ? 'Compute it when its inputs change (e.g. in a memoized selector) instead of in render'
+          : 'Wrap the computation in useMemo with its inputs as dependencies',
+        impact: 'Render time',
+        component: component.name
+      });
+    };
+
+    return {
+      Loop(path) {
+        const component = renderOf(path);
+        if (!component) return;
+        // Only the outermost loop reports
+        if (path.findParent(parent => parent.isLoop() || parent === component.render) !== component.render) return;
+        report(path, component, `${LOOP_KINDS[path.node.type]} loop`);
+      },
+
+      CallExpression(path) {
+        const component = renderOf(path);
+        if (!component) return;
+        const what = describeCall(path);
+        if (!what) return;
+
+        // Report the outermost expensive call of a chain or nesting only
+        const outer = path.findParent(parent => parent === component.render ||
+          parent.isLoop() || (parent.isCallExpression() && describeCall(parent)));
+        if (outer !== component.render) return;
+        report(path, component, what);
+      }
+    };
+  }
+};
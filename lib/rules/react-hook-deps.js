@@ -0,0 +1,115 @@
+const t = require('@babel/types');
+
+const EFFECT_HOOKS = ['useEffect', 'useLayoutEffect', 'useInsertionEffect'];
+const DEPS_HOOKS = [...EFFECT_HOOKS, 'useMemo', 'useCallback'];
+
+module.exports = {
+  id: 'react-hook-deps',
+  meta: {
+    category: 'react',
+    severity: 'medium',
+    description: 'Hook dependency arrays that are missing, incomplete or list values recreated on every render'
+  },
+
+  create(context) {
+    const { analyzer } = context;
+    const nameOf = node => analyzer.complexityAnalyzer.getExpressionName(node);
+
+    // What a reference inside the callback depends on: `props.items` for
+    // `props.items.map(...)`, the ref itself for `ref.current`
+    const dependencyOf = reference => {
+      let current = reference;
+      while (current.parentPath.isMemberExpression({ object: current.node }) && !current.parent.computed) {
+        const member = current.parentPath;
+        if (member.node.property.name === 'current' ||
+            member.parentPath.isCallExpression({ callee: member.node })) {
+          break;
+        }
+        current = member;
+      }
+      return nameOf(current.node);
+    };
+
+    const runsWhen = hook => (EFFECT_HOOKS.includes(hook) ? 'runs after' : 'recomputes on');
+
+    return {
+      CallExpression(path) {
+        const hook = analyzer.getHookName(path.node);
+        if (!DEPS_HOOKS.includes(hook)) return;
+        const owner = analyzer.getHookOwner(path);
+        const callback = path.get('arguments.0');
+        if (!owner || !callback?.isFunction()) return;
+
+        const deps = path.get('arguments.1');
+        if (!deps?.node) {
+          context.report({
+            node: path.node.callee,
+            message: `${hook} in ${owner.name} has no dependency array and ${runsWhen(hook)} every render`,
+            suggestion: EFFECT_HOOKS.includes(hook)
+              ? 'Pass the values the effect reads as a dependency array, or [] to run it once'
+              : `Pass the values the callback reads as a dependency array; without one ${hook} does nothing`,
+            impact: 'Component performance, re-renders',
+            hook
+          });
+          return;
+        }
+        // Arrays built elsewhere can't be checked
+        if (!deps.isArrayExpression()) return;
+
+        const declared = deps.node.elements.filter(Boolean).map(nameOf).filter(Boolean);
+        const missing = new Map();
+        callback.traverse({
+          Identifier: inner => {
+            if (!inner.isReferencedIdentifier() ||
+                inner.parentPath.isAssignmentExpression({ left: inner.node })) {
+              return;
+            }
+            // Only values of the render the callback closes over count
+            const binding = inner.scope.getBinding(inner.node.name);
+            if (!binding || !binding.path.isDescendant(owner.render) || binding.path.isDescendant(callback) ||
+                analyzer.isStableHookValue(binding)) {
+              return;
+            }
+            if (binding.constant && binding.path.isVariableDeclarator() &&
+                t.isLiteral(binding.path.node.init) && !t.isTemplateLiteral(binding.path.node.init)) {
+              return;
+            }
+
+            const dependency = dependencyOf(inner);
+            const covered = declared.some(name => dependency === name || dependency.startsWith(`${name}.`));
+            if (dependency && !covered && !missing.has(dependency)) missing.set(dependency, inner);
+          }
+        });
+
+        missing.forEach((reference, dependency) => {
+          context.report({
+            node: reference.node,
+            message: `${hook} in ${owner.name} reads \`${dependency}\`, which is missing from its dependency array`,
+            suggestion: `Add \`${dependency}\` to the dependency array; without it the callback keeps ` +
+              'the value from the render it was created in (stale closure)',
+            impact: 'Stale values, missed updates',
+            hook,
+            dependency
+          });
+        });
+
+        deps.get('elements').forEach(element => {
+          const kind = element.node && analyzer.getRenderValueKind(element, owner.render);
+          if (!kind) return;
+          const name = element.isIdentifier() ? `\`${element.node.name}\`` : `an inline ${kind}`;
+          context.report({
+            node: element.node,
+            message: `Dependency ${name} of ${hook} in ${owner.name} is a new ${kind} on every render, ` +
+              `so ${hook} ${runsWhen(hook)} every render`,
+            suggestion: kind === 'function'
+              ? 'Move the function into the callback, or wrap it in useCallback'
+              : `Move the ${kind} into the callback, or wrap it in useMemo`,
+            impact: 'Component performance, re-renders',
+            hook,
+            dependency: element.isIdentifier() ? element.node.name : null
+          });
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,81 @@
+const t = require('@babel/types');
+
+// Props React handles itself rather than passing to the child
+const IGNORED_PROPS = ['key', 'ref'];
+
+// Object and array literals built from literals only
+const isConstant = node => {
+  if (t.isObjectExpression(node)) {
+    return node.properties.every(property => t.isObjectProperty(property) && !property.computed &&
+      isConstant(property.value));
+  }
+  if (t.isArrayExpression(node)) return node.elements.every(element => element && isConstant(element));
+  if (t.isUnaryExpression(node)) return isConstant(node.argument);
+  return t.isLiteral(node) && !t.isTemplateLiteral(node);
+};
+
+module.exports = {
+  id: 'react-inline-props',
+  meta: {
+    category: 'react',
+    severity: 'medium',
+    description: 'Objects, arrays and functions created inline in JSX props, which change identity on every render',
+    defaultOptions: { hostElements: true }
+  },
+
+  create(context) {
+    const { analyzer, options } = context;
+
+    return {
+      JSXAttribute(path) {
+        const { node } = path;
+        if (!t.isJSXExpressionContainer(node.value) || !t.isJSXIdentifier(node.name)) return;
+        const prop = node.name.name;
+        if (IGNORED_PROPS.includes(prop)) return;
+
+        // Provider values are checked by react-context-value
+        if (prop === 'value' && analyzer.getProvidedContext(path.parentPath)) return;
+
+        const value = node.value.expression;
+        const kind = analyzer.getCreatedValueKind(value);
+        if (!kind) return;
+
+        // Host elements (`<div>`) can't skip renders, so a new value only
+        // costs an allocation; a component's memoization is defeated
+        const element = path.parent.name;
+        const host = t.isJSXIdentifier(element) && /^[a-z]/.test(element.name);
+        if (host && !options.hostElements) return;
+
+        const component = analyzer.getEnclosingComponent(path);
+        if (!component || analyzer.isMemoizedInRender(path, component.render)) return;
+
+        const elementName = context.code.slice(element.start, element.end);
+        let suggestion;
+        if (kind !== 'function' && isConstant(value)) {
+          suggestion = `Hoist the constant ${kind} to module scope`;
+        } else if (component.kind === 'class') {
+          suggestion = kind === 'function'
+            ? 'Define the handler once as a class property arrow function'
+            : `Compute the ${kind} once when its inputs change instead of in render`;
+        } else if (path.getFunctionParent() !== component.render) {
+          // Hooks can't be called in the callbacks that render list items
+          suggestion = 'Extract the item into a memoized component that receives stable props';
+        } else {
+          suggestion = kind === 'function'
+            ? 'Wrap the function in useCallback'
+            : `Wrap the ${kind} in useMemo`;
+        }
+
+        context.report({
+          node: value,
+          severity: host ? 'low' : undefined,
+          message: `Inline ${kind} passed as \`${prop}\` to <${elementName}> is recreated on every render of ${component.name}`,
+          suggestion,
+          impact: host ? 'Allocations on every render' : 'Component performance, re-renders',
+          component: component.name,
+          prop
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,125 @@
+const t = require('@babel/types');
+
+// Packages that render only the visible part of a list
+const VIRTUALIZATION_LIBRARIES = [
+  'react-window', 'react-virtualized', 'react-virtuoso', '@tanstack/react-virtual', 'react-virtual'
+];
+
+module.exports = {
+  id: 'react-large-list',
+  meta: {
+    category: 'react',
+    severity: 'medium',
+    description: 'Lists rendering more than `maxItems` items, or every item of an array from props, without windowing',
+    defaultOptions: { maxItems: 100 }
+  },
+
+  create(context) {
+    const { analyzer, code, options } = context;
+    let virtualized = false;
+    // Props lists already reported, per component
+    const reported = new WeakMap();
+
+    // Static item count of an array expression, or null when unknown
+    const countOf = node => {
+      if (t.isArrayExpression(node)) return node.elements.length;
+      const name = t.isCallExpression(node) || t.isNewExpression(node)
+        ? analyzer.complexityAnalyzer.getExpressionName(node.callee)
+        : null;
+      const [first] = node.arguments || [];
+      // `Array(n)`, `new Array(n)`, `Array.from({ length: n })`
+      if (name === 'Array' && node.arguments.length === 1 && t.isNumericLiteral(first)) return first.value;
+      if (name === 'Array.from' && t.isObjectExpression(first)) {
+        const length = first.properties.find(property => t.isObjectProperty(property) &&
+          t.isIdentifier(property.key, { name: 'length' }));
+        return length && t.isNumericLiteral(length.value) ? length.value.value : null;
+      }
+      return null;
+    };
+
+    // Whether `node` (the root of the mapped expression) comes from the
+    // props of `component`
+    const isProp = (node, path, component) => {
+      if (component.kind === 'class') {
+        return t.isMemberExpression(node) && t.isThisExpression(node.object) &&
+          t.isIdentifier(node.property, { name: 'props' });
+      }
+      const binding = t.isIdentifier(node) && path.scope.getBinding(node.name);
+      return Boolean(binding && binding.kind === 'param' && binding.scope.block === component.render.node);
+    };
+
+    return {
+      Program(path) {
+        virtualized = path.node.body.some(node => t.isImportDeclaration(node) &&
+          VIRTUALIZATION_LIBRARIES.some(library =>
+            node.source.value === library || node.source.value.startsWith(`${library}/`)));
+      },
+
+      'CallExpression|OptionalCallExpression'(path) {
+        if (virtualized || !analyzer.getListCallback(path)) return;
+        const component = analyzer.getEnclosingComponent(path);
+        if (!component) return;
+
+        // Follow `.filter()`/`.slice()` calls back to the source array; a
+        // `.slice(start, end)` caps the number of items
+        let source = path.node.callee.object;
+        let limit = Infinity;
+        while ((t.isCallExpression(source) || t.isOptionalCallExpression(source)) &&
+               (t.isMemberExpression(source.callee) || t.isOptionalMemberExpression(source.callee))) {
+          const [start, end] = source.arguments;
+          if (t.isIdentifier(source.callee.property, { name: 'slice' }) && t.isNumericLiteral(end)) {
+            limit = Math.min(limit, end.value - (t.isNumericLiteral(start) ? start.value : 0));
+          }
+          source = source.callee.object;
+        }
+        if (limit <= options.maxItems) return;
+
+        const list = code.slice(path.node.callee.object.start, path.node.callee.object.end);
+        // Arrays created in the render body, e.g. `const rows = Array.from(...)`
+        let created = source;
+        const binding = t.isIdentifier(source) && path.scope.getBinding(source.name);
+        if (binding?.constant && binding.path.isVariableDeclarator() && binding.path.isDescendant(component.render)) {
+          created = binding.path.node.init;
+        }
+        const count = created ? countOf(created) : null;
+        const suggestion = 'Render only the visible rows with windowing (react-window, @tanstack/react-virtual) ' +
+          'or paginate the list';
+
+        if (count !== null) {
+          if (Math.min(count, limit) <= options.maxItems) return;
+          context.report({
+            node: path.node,
+            message: `${list}.map() renders ${Math.min(count, limit)} items at once (more than ${options.maxItems})`,
+            suggestion,
+            impact: 'Render time, DOM size, scrolling',
+            component: component.name,
+            items: Math.min(count, limit)
+          });
+          return;
+        }
+
+        // Arrays from props have no known size: every item is rendered
+        let root = source;
+        while (t.isMemberExpression(root) && !isProp(root, path, component)) root = root.object;
+        if (!isProp(root, path, component)) return;
+
+        const name = code.slice(source.start, source.end);
+        const lists = reported.get(component.render.node) || new Set();
+        reported.set(component.render.node, lists);
+        if (lists.has(name)) return;
+        lists.add(name);
+
+        context.report({
+          node: path.node,
+          severity: 'low',
+          message: `${list}.map() renders every item of a list from the props of ${component.name}, ` +
+            `which may hold more than ${options.maxItems} items`,
+          suggestion,
+          impact: 'Render time, DOM size, scrolling',
+          component: component.name,
+          items: null
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,89 @@
+const t = require('@babel/types');
+
+// Calls returning a different value on every render
+const RANDOM_CALLS = ['Math.random', 'Date.now', 'crypto.randomUUID', 'uuid', 'uuidv4', 'nanoid'];
+
+module.exports = {
+  id: 'react-list-key',
+  meta: {
+    category: 'react',
+    severity: 'medium',
+    description: 'List items rendered with `.map()` without a stable `key`'
+  },
+
+  create(context) {
+    const { analyzer, code } = context;
+
+    // Identifier names an expression uses, and the random calls it makes
+    const inspect = expression => {
+      const names = new Set();
+      const calls = [];
+      const visit = node => {
+        if (t.isIdentifier(node)) names.add(node.name);
+        if (t.isCallExpression(node)) {
+          const name = analyzer.complexityAnalyzer.getExpressionName(node.callee);
+          if (RANDOM_CALLS.includes(name)) calls.push(name);
+        }
+      };
+      t.traverseFast(expression, visit);
+      return { names, calls };
+    };
+
+    const report = (node, severity, message, suggestion) => {
+      context.report({
+        node,
+        severity,
+        message,
+        suggestion,
+        impact: 'List re-renders, lost item state',
+        element: node.name ? code.slice(node.name.start, node.name.end) : 'Fragment'
+      });
+    };
+
+    return {
+      'CallExpression|OptionalCallExpression'(path) {
+        const callback = analyzer.getListCallback(path);
+        if (!callback || !analyzer.getEnclosingComponent(path)) return;
+
+        const [item, index] = callback.node.params;
+        const list = code.slice(path.node.callee.object.start, path.node.callee.object.end);
+
+        analyzer.getReturnedJSX(callback).forEach(root => {
+          if (t.isJSXFragment(root)) {
+            report(root.openingFragment, undefined,
+              `<> fragment items of ${list}.map() have no key, and the short syntax can't take one`,
+              'Use <Fragment key={...}> (or <React.Fragment>) with an ID from the item');
+            return;
+          }
+
+          const { openingElement } = root;
+          const key = openingElement.attributes.find(attribute =>
+            t.isJSXAttribute(attribute) && t.isJSXIdentifier(attribute.name, { name: 'key' }));
+          const element = `<${code.slice(openingElement.name.start, openingElement.name.end)}>`;
+
+          if (!key) {
+            // A spread may carry the key
+            if (openingElement.attributes.some(attribute => t.isJSXSpreadAttribute(attribute))) return;
+            report(openingElement, undefined,
+              `${element} items of ${list}.map() have no key`,
+              'Add a key with a stable, unique ID from the item so React can match items between renders');
+            return;
+          }
+
+          const value = t.isJSXExpressionContainer(key.value) ? key.value.expression : key.value;
+          const { names, calls } = inspect(value);
+          if (calls.length > 0) {
+            report(openingElement, 'high',
+              `${element} items of ${list}.map() use ${calls[0]}() as key, so every item remounts on every render`,
+              'Use a stable, unique ID from the item; generate IDs when the data is created, not while rendering');
+          } else if (t.isIdentifier(index) && names.has(index.name) &&
+                     !(item && Object.keys(t.getBindingIdentifiers(item)).some(name => names.has(name)))) {
+            report(openingElement, 'low',
+              `${element} items of ${list}.map() use the array index \`${index.name}\` as key`,
+              'Use a stable ID from the item; index keys mix up item state and DOM when items are inserted, removed or reordered');
+          }
+        });
+      }
+    };
+  }
+};
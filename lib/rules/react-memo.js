@@ -0,0 +1,168 @@
+const t = require('@babel/types');
+
+module.exports = {
+  id: 'react-memo',
+  meta: {
+    category: 'react',
+    severity: 'low',
+    description: 'Pure components that re-render with their parent because they are not memoized'
+  },
+
+  create(context) {
+    const { analyzer, code } = context;
+    // How the file refers to React exports such as `memo`: a function
+    // returning `{ name, edits }` or null to skip, set once imports are known
+    let reactExport = () => null;
+    let isReact = false;
+    let semi = ';';
+
+    // Whether `fn` renders JSX from its props alone: no hooks, at most one
+    // parameter besides the ref of forwardRef render functions
+    const isPureComponent = (fn, maxParams = 1) => {
+      if (fn.node.params.length > maxParams || !analyzer.returnsJSX(fn)) return false;
+
+      let usesHooks = false;
+      fn.get('body').traverse({
+        Function: inner => inner.skip(),
+        CallExpression: inner => {
+          if (analyzer.isHook(inner.node)) usesHooks = true;
+        }
+      });
+      return !usesHooks;
+    };
+
+    const report = (fn, name, fix) => {
+      context.report({
+        node: fn.node,
+        message: `Component ${name} renders from props alone but re-renders with its parent`,
+        suggestion: `Wrap ${name} in React.memo to skip renders when its props are unchanged`,
+        impact: 'Component performance, re-renders',
+        component: name,
+        fix
+      });
+    };
+
+    return {
+      Program(path) {
+        // Follow the file's semicolon style
+        const [first] = path.node.body;
+        if (first && !code.slice(first.start, first.end).trimEnd().endsWith(';')) semi = '';
+
+        // Components of other JSX runtimes have no React.memo
+        if (analyzer.usesOtherJSXRuntime(path)) return;
+        isReact = true;
+
+        const imports = path.node.body.filter(node => t.isImportDeclaration(node));
+
+        const react = imports.find(node => node.source.value === 'react' && node.importKind !== 'type');
+        const specifiers = react ? react.specifiers : [];
+        const namespace = specifiers.find(s => !t.isImportSpecifier(s));
+
+        reactExport = exported => {
+          const named = specifiers.find(s => t.isImportSpecifier(s) && (s.imported.name || s.imported.value) === exported);
+          if (named) return { name: named.local.name, edits: () => [] };
+          if (namespace) return { name: `${namespace.local.name}.${exported}`, edits: () => [] };
+          if (path.scope.hasBinding(exported)) return null;
+
+          // Import the export along with the fix
+          const last = specifiers[specifiers.length - 1];
+          return {
+            name: exported,
+            edits: fixer => [last
+              ? fixer.insertTextAfter(last, `, ${exported}`)
+              : fixer.insertTextBefore(path.node.body[0], `import { ${exported} } from 'react';\n`)]
+          };
+        };
+      },
+
+      FunctionDeclaration(path) {
+        const { node, parentPath } = path;
+        const memo = reactExport('memo');
+        if (!memo || !node.id || !/^[A-Z]/.test(node.id.name)) return;
+        if (!parentPath.isProgram() && !parentPath.isExportNamedDeclaration() &&
+            !parentPath.isExportDefaultDeclaration()) {
+          return;
+        }
+        if (!isPureComponent(path)) return;
+
+        // `const` isn't hoisted: keep declarations used before they appear.
+        // The export declaration itself counts as a reference.
+        const references = (path.scope.parent.getBinding(node.id.name)?.referencePaths || [])
+          .filter(reference => !reference.isExportDeclaration());
+        const usedEarly = references.some(reference =>
+          reference.node.start < node.start && !reference.getFunctionParent());
+        const source = code.slice(node.start, node.end);
+        let fix = null;
+
+        if (parentPath.isExportDefaultDeclaration()) {
+          if (references.length === 0) {
+            fix = fixer => [...memo.edits(fixer), fixer.replaceText(node, `${memo.name}(${source})${semi}`)];
+          }
+        } else if (!usedEarly) {
+          fix = fixer => [
+            ...memo.edits(fixer),
+            fixer.replaceText(node, `const ${node.id.name} = ${memo.name}(${source})${semi}`)
+          ];
+        }
+        report(path, node.id.name, fix);
+      },
+
+      'ArrowFunctionExpression|FunctionExpression'(path) {
+        const memo = reactExport('memo');
+        const component = memo && analyzer.getReactComponent(path);
+        // Already memoized, or wrapped in something else than forwardRef
+        if (!component || component.wrappers.length > 1 || component.wrappers.includes('memo')) return;
+
+        const target = component.wrappers.length > 0 ? path.parentPath : path;
+        if (!target.parentPath.isVariableDeclarator({ init: target.node })) return;
+        const declaration = target.parentPath.parentPath;
+        if (!declaration.parentPath.isProgram() && !declaration.parentPath.isExportNamedDeclaration()) return;
+        if (!isPureComponent(path, component.wrappers.length + 1)) return;
+
+        report(path, component.name, fixer => [
+          ...memo.edits(fixer),
+          fixer.insertTextBefore(target.node, `${memo.name}(`),
+          fixer.insertTextAfter(target.node, ')')
+        ]);
+      },
+
+      Class(path) {
+        const component = isReact && analyzer.getReactComponent(path);
+        const { superClass } = path.node;
+        if (!component || /PureComponent$/.test(code.slice(superClass.start, superClass.end))) return;
+        if (path.node.body.body.some(member => t.isClassMethod(member) &&
+            t.isIdentifier(member.key, { name: 'shouldComponentUpdate' }))) {
+          return;
+        }
+
+        // `React.Component` becomes `React.PureComponent`; a `Component`
+        // imported from react needs PureComponent imported as well
+        let fix = null;
+        const binding = t.isIdentifier(superClass) && path.scope.getBinding(superClass.name);
+        if (t.isMemberExpression(superClass) && !superClass.computed) {
+          fix = fixer => fixer.replaceText(superClass.property, 'PureComponent');
+        } else if (binding?.path.isImportSpecifier() && binding.path.parent.source.value === 'react') {
+          const pure = binding.path.parent.specifiers.find(s => t.isImportSpecifier(s) &&
+            (s.imported.name || s.imported.value) === 'PureComponent');
+          if (pure) {
+            fix = fixer => fixer.replaceText(superClass, pure.local.name);
+          } else if (!path.scope.hasBinding('PureComponent')) {
+            fix = fixer => [
+              fixer.insertTextAfter(binding.path.node, ', PureComponent'),
+              fixer.replaceText(superClass, 'PureComponent')
+            ];
+          }
+        }
+
+        context.report({
+          node: path.node,
+          message: `Class component ${component.name} re-renders with its parent even when its props and state are unchanged`,
+          suggestion: 'Extend PureComponent, or implement shouldComponentUpdate',
+          impact: 'Component performance, re-renders',
+          component: component.name,
+          fix
+        });
+      }
+    };
+  }
+};
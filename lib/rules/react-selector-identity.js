@@ -0,0 +1,101 @@
+const t = require('@babel/types');
+
+// Store hooks that re-render when the selected value changes identity:
+// react-redux `useSelector`, typed wrappers and zustand stores (`useStore`,
+// `useCartStore`). React's useSyncExternalStore takes a subscribe function.
+const SELECTOR_HOOKS = /^use(Selector|AppSelector|TypedSelector|\w*Store)$/;
+const NON_SELECTOR_HOOKS = ['useSyncExternalStore'];
+// Calls that build a new array or object from their input
+const NEW_VALUE_METHODS = ['filter', 'map', 'slice', 'concat', 'flat', 'flatMap', 'toSorted', 'toReversed'];
+const NEW_VALUE_CALLS = ['Object.keys', 'Object.values', 'Object.entries', 'Object.assign', 'Array.from'];
+// Wrappers that memoize a selector's result
+const MEMOIZED_SELECTORS = ['createSelector', 'createStructuredSelector', 'useShallow'];
+
+module.exports = {
+  id: 'react-selector-identity',
+  meta: {
+    category: 'react',
+    severity: 'medium',
+    description: 'Store selectors that return a new object or array on every call'
+  },
+
+  create(context) {
+    const { analyzer } = context;
+    const nameOf = node => analyzer.complexityAnalyzer.getExpressionName(node) || '';
+
+    // Kind of new value an expression returns, or null
+    const newValueKind = node => {
+      const kind = analyzer.getCreatedValueKind(node);
+      if (kind) return kind;
+      if (!t.isCallExpression(node)) return null;
+      const callee = nameOf(node.callee);
+      if (NEW_VALUE_CALLS.includes(callee)) return callee === 'Object.assign' ? 'object' : 'array';
+      return t.isMemberExpression(node.callee) && NEW_VALUE_METHODS.includes(node.callee.property.name)
+        ? 'array'
+        : null;
+    };
+
+    // Values a selector function returns
+    const returnedValues = fn => {
+      if (!t.isBlockStatement(fn.node.body)) return [fn.node.body];
+      const values = [];
+      fn.get('body').traverse({
+        Function: inner => inner.skip(),
+        ReturnStatement: inner => {
+          if (inner.node.argument) values.push(inner.node.argument);
+        }
+      });
+      return values;
+    };
+
+    // Selector function passed as `argument`: inline, or a function declared
+    // elsewhere in the file; null when it is memoized or unknown
+    const selectorOf = argument => {
+      if (argument.isFunction()) return { fn: argument, name: 'inline selector' };
+      if (!argument.isIdentifier()) return null;
+
+      const binding = argument.scope.getBinding(argument.node.name);
+      if (!binding) return null;
+      const { name } = argument.node;
+      if (binding.path.isFunctionDeclaration()) return { fn: binding.path, name: `selector \`${name}\`` };
+      if (!binding.path.isVariableDeclarator()) return null;
+
+      const init = binding.path.get('init');
+      if (init.isFunction()) return { fn: init, name: `selector \`${name}\`` };
+      return null;
+    };
+
+    return {
+      CallExpression(path) {
+        const hook = analyzer.getHookName(path.node);
+        if (!hook || !SELECTOR_HOOKS.test(hook) || NON_SELECTOR_HOOKS.includes(hook)) return;
+        // An equality function (`shallowEqual`) compares the contents instead
+        if (path.node.arguments.length > 1) return;
+        const owner = analyzer.getHookOwner(path);
+        const argument = path.get('arguments.0');
+        if (!owner || !argument?.node) return;
+
+        // `useStore(useShallow(selector))`, `useSelector(createSelector(...))`
+        const wrapped = argument.isCallExpression() &&
+          MEMOIZED_SELECTORS.includes(nameOf(argument.node.callee).split('.').pop());
+        if (wrapped) return;
+
+        const selector = selectorOf(argument);
+        const kind = selector && returnedValues(selector.fn).map(newValueKind).find(Boolean);
+        if (!kind) return;
+
+        context.report({
+          node: argument.node,
+          message: `The ${selector.name} passed to ${hook} in ${owner.name} returns a new ${kind} on every call, ` +
+            `so ${owner.name} re-renders after every store update, even unrelated ones`,
+          suggestion: /Selector$/.test(hook)
+            ? 'Select each value separately, pass shallowEqual as the equality function, or use a memoized selector (createSelector)'
+            : 'Select each value separately, or wrap the selector in useShallow',
+          impact: 'Re-renders on every store update',
+          hook,
+          selector: argument.isIdentifier() ? argument.node.name : null
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,56 @@
+const t = require('@babel/types');
+
+module.exports = {
+  id: 'redos',
+  meta: {
+    category: 'performance',
+    severity: 'high',
+    description: 'Regular expressions that can backtrack catastrophically on crafted input'
+  },
+
+  create(context) {
+    const { analyzer } = context;
+
+    const check = (node, pattern, flags) => {
+      const problem = analyzer.regexAnalyzer.analyze(pattern, flags);
+      if (!problem) return;
+      const exponential = problem.kind === 'exponential';
+      context.report({
+        node,
+        // Quadratic blowups need much longer input
+        severity: exponential ? undefined : 'medium',
+        message: `/${pattern}/${flags} can take ${exponential ? 'exponential' : 'polynomial'} time ` +
+          `on input that doesn't match: ${problem.reason}`,
+        suggestion: 'Rewrite the pattern so each part of the input can only be matched one way (e.g. (a+)+ → a+, ' +
+          '(\\w|\\d)+ → \\w+), limit the input length before matching, or use a linear-time engine such as re2',
+        impact: 'One request with a crafted string can block the event loop for seconds or longer',
+        pattern: `/${pattern}/${flags}`,
+        subexpression: problem.subexpression,
+        attack: problem.attack
+      });
+    };
+
+    // Constant pattern string: a string literal or a template literal
+    // without expressions
+    const constant = node => {
+      if (t.isStringLiteral(node)) return node.value;
+      return t.isTemplateLiteral(node) && node.expressions.length === 0 ? node.quasis[0].value.cooked : null;
+    };
+
+    return {
+      RegExpLiteral(path) {
+        check(path.node, path.node.pattern, path.node.flags);
+      },
+
+      // `new RegExp('(a+)+$')`, `RegExp('(a+)+$', 'i')`
+      'NewExpression|CallExpression'(path) {
+        const { callee, arguments: args } = path.node;
+        if (!t.isIdentifier(callee, { name: 'RegExp' }) || path.scope.getBinding('RegExp')) return;
+        const pattern = args[0] && constant(args[0]);
+        const flags = args[1] ? constant(args[1]) : '';
+        if (pattern === null || pattern === undefined || flags === null) return;
+        check(path.node, pattern, flags);
+      }
+    };
+  }
+};
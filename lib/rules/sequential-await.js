@@ -0,0 +1,88 @@
+const t = require('@babel/types');
+
+module.exports = {
+  id: 'sequential-await',
+  meta: {
+    category: 'async',
+    severity: 'medium',
+    description: 'Consecutive awaited calls that don\'t use each other\'s results'
+  },
+
+  create(context) {
+    const { code } = context;
+    const text = node => code.slice(node.start, node.end);
+
+    // `{ node, call, names, target }` of `const user = await getUser(id)` or
+    // `user = await getUser(id)`, or null for any other statement
+    const awaitedCall = statement => {
+      let target;
+      let value;
+      if (t.isVariableDeclaration(statement) && statement.declarations.length === 1) {
+        ({ id: target, init: value } = statement.declarations[0]);
+      } else if (t.isExpressionStatement(statement) &&
+                 t.isAssignmentExpression(statement.expression, { operator: '=' })) {
+        ({ left: target, right: value } = statement.expression);
+      }
+      // Awaiting a promise that is already running is what the fix looks like
+      if (!t.isAwaitExpression(value) || !t.isCallExpression(value.argument)) return null;
+      const names = t.isMemberExpression(target) ? [text(target)] : Object.keys(t.getBindingIdentifiers(target));
+      return { node: statement, call: value.argument, names, target: text(target) };
+    };
+
+    // Whether `call` uses a value named in `names`, or runs on the same
+    // object as `previous` (`db.query()` twice may depend on the order)
+    const dependsOn = (call, previous) => {
+      const callee = t.isMemberExpression(call.callee) ? text(call.callee.object) : null;
+      return previous.some(({ call: earlier, names }) => {
+        if (callee && t.isMemberExpression(earlier.callee) && text(earlier.callee.object) === callee) return true;
+        let found = false;
+        t.traverseFast(call, inner => {
+          if (found) return;
+          if (t.isIdentifier(inner) && names.includes(inner.name)) found = true;
+          if (t.isMemberExpression(inner) && names.includes(text(inner))) found = true;
+        });
+        return found;
+      });
+    };
+
+    const report = run => {
+      if (run.length < 2) return;
+      const targets = run.map(({ target }) => target);
+      const quoted = targets.map(target => `\`${target}\``);
+      const listed = `${quoted.slice(0, -1).join(', ')} and ${quoted[quoted.length - 1]}`;
+      const simple = run.every(({ node, names }) => t.isVariableDeclaration(node) && names.length === 1 &&
+        t.isIdentifier(node.declarations[0].id));
+      context.report({
+        node: run[0].node,
+        message: `${listed} are awaited one after another, but none of the calls uses another's result`,
+        suggestion: simple
+          ? `Start the calls together: const [${targets.join(', ')}] = await Promise.all([...])`
+          : 'Start the calls together and await them with Promise.all',
+        impact: 'Latency is the sum of the calls instead of the slowest one',
+        count: run.length
+      });
+    };
+
+    return {
+      Block(path) {
+        const fn = path.getFunctionParent();
+        if (fn && !fn.node.async) return;
+
+        let run = [];
+        path.node.body.forEach(statement => {
+          const awaited = awaitedCall(statement);
+          if (!awaited) {
+            report(run);
+            run = [];
+          } else if (dependsOn(awaited.call, run)) {
+            report(run);
+            run = [awaited];
+          } else {
+            run.push(awaited);
+          }
+        });
+        report(run);
+      }
+    };
+  }
+};
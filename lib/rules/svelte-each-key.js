@@ -0,0 +1,69 @@
+const t = require('@babel/types');
+
+// Calls returning a different value on every update
+const RANDOM_CALLS = ['Math.random', 'Date.now', 'crypto.randomUUID', 'uuid', 'uuidv4', 'nanoid'];
+
+module.exports = {
+  id: 'svelte-each-key',
+  meta: {
+    category: 'svelte',
+    severity: 'medium',
+    description: '`{#each}` blocks without a stable key'
+  },
+
+  create(context) {
+    const { analyzer, sfc } = context;
+    const parser = analyzer.svelteParser;
+
+    const report = (block, severity, message, suggestion) => {
+      context.report({
+        node: block,
+        severity,
+        message,
+        suggestion,
+        impact: 'List updates, lost item state',
+        list: block.expression
+      });
+    };
+
+    return {
+      Program() {
+        if (sfc?.framework !== 'svelte') return;
+
+        sfc.each.forEach(block => {
+          const list = `{#each ${block.expression}}`;
+          if (block.key === null) {
+            // Literal lists never change
+            if (t.isArrayExpression(parser.parseExpression(block.expression))) return;
+            report(block, undefined, `${list} has no key, so items are updated by position`,
+              `Add a key from the item, e.g. {#each ${block.expression} as ${block.context} (${block.context}.id)}, ` +
+              'so inserting, removing or reordering items moves them instead of rewriting every later item');
+            return;
+          }
+
+          const key = parser.parseExpression(block.key);
+          const names = new Set();
+          const calls = [];
+          if (key) {
+            t.traverseFast(key, node => {
+              if (t.isIdentifier(node)) names.add(node.name);
+              if (t.isCallExpression(node)) {
+                const name = analyzer.complexityAnalyzer.getExpressionName(node.callee);
+                if (RANDOM_CALLS.includes(name)) calls.push(name);
+              }
+            });
+          }
+          const itemNames = block.context.match(/[A-Za-z_$][\w$]*/g) || [];
+
+          if (calls.length > 0) {
+            report(block, 'high', `${list} uses ${calls[0]}() as key, so every item is recreated on every update`,
+              'Use a stable, unique ID from the item; generate IDs when the data is created');
+          } else if (block.index && names.has(block.index) && !itemNames.some(name => names.has(name))) {
+            report(block, 'low', `${list} uses the index \`${block.index}\` as key, which is the same as no key`,
+              'Use a stable ID from the item so items keep their state and DOM when the list changes');
+          }
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,18 @@
+const createLifecycleCleanup = require('./lifecycle-cleanup');
+
+module.exports = {
+  id: 'svelte-lifecycle-cleanup',
+  meta: {
+    category: 'memory',
+    severity: 'medium',
+    description: 'Listeners and timers added while a Svelte component mounts and never removed when it is destroyed'
+  },
+
+  create(context) {
+    return createLifecycleCleanup(context, {
+      framework: 'svelte',
+      cleanupIn: 'onDestroy, or a function returned from onMount',
+      kinds: ['listener', 'timer']
+    });
+  }
+};
@@ -0,0 +1,90 @@
+const t = require('@babel/types');
+const {
+  EXPENSIVE_METHODS, ITERATING_METHODS, EXPENSIVE_CALLS, LOOP_KINDS, iteratesAgain
+} = require('./expensive-work');
+
+module.exports = {
+  id: 'svelte-reactive-computation',
+  meta: {
+    category: 'svelte',
+    severity: 'medium',
+    description: 'Loops, sorting, filtering and serialization in `$:` reactive statements'
+  },
+
+  create(context) {
+    const { analyzer, sfc } = context;
+
+    // What makes a call expensive, e.g. `.sort()`, or null
+    const describeCall = path => {
+      const { callee } = path.node;
+      const name = analyzer.complexityAnalyzer.getExpressionName(callee) || '';
+      if (EXPENSIVE_CALLS.includes(name)) return `${name}() call`;
+      if (!t.isMemberExpression(callee) || callee.computed) return null;
+      const method = callee.property.name;
+      if (EXPENSIVE_METHODS.includes(method)) return `.${method}() call`;
+      return ITERATING_METHODS.includes(method) && iteratesAgain(path.node.arguments[0]) ? `.${method}() call` : null;
+    };
+
+    // Variables a reactive statement reruns on: `let` variables and props of
+    // the component, and `$store` auto-subscriptions
+    const dependenciesOf = path => {
+      const names = new Set();
+      const assigned = t.isExpressionStatement(path.node.body) &&
+        t.isAssignmentExpression(path.node.body.expression)
+        ? Object.keys(t.getBindingIdentifiers(path.node.body.expression.left))
+        : [];
+      path.traverse({
+        Identifier: inner => {
+          const { name } = inner.node;
+          if (!inner.isReferencedIdentifier() || assigned.includes(name)) return;
+          const binding = inner.scope.getBinding(name);
+          if (binding ? binding.scope === path.scope && ['let', 'var'].includes(binding.kind)
+            : name.startsWith('$') && path.scope.hasBinding(name.slice(1))) {
+            names.add(name);
+          }
+        }
+      });
+      return [...names];
+    };
+
+    return {
+      LabeledStatement(path) {
+        if (sfc?.framework !== 'svelte' || path.node.label.name !== '$' || !path.parentPath.isProgram()) return;
+
+        const work = [];
+        path.get('body').traverse({
+          Loop: inner => {
+            work.push({ path: inner, what: `${LOOP_KINDS[inner.node.type]} loop` });
+          },
+          CallExpression: inner => {
+            const what = describeCall(inner);
+            if (what) work.push({ path: inner, what });
+          }
+        });
+        // Without dependencies the statement runs once
+        const dependencies = dependenciesOf(path);
+        if (work.length === 0 || dependencies.length === 0) return;
+
+        // Work in the body of a loop or in a callback of other work runs once
+        // per item: a filter in a loop. The receiver of a chained call
+        // (`items.filter(f)` in `items.filter(f).sort(cmp)`) runs once.
+        const names = dependencies.map(name => `\`${name}\``);
+        const isWork = candidate => work.some(other => other.path === candidate);
+        const nested = work.some(({ path: inner }) => Boolean(inner.findParent(parent =>
+          (parent.key === 'body' && parent.parentPath.isLoop() && isWork(parent.parentPath)) ||
+          (parent.isFunction() && parent.listKey === 'arguments' && isWork(parent.parentPath)))));
+
+        context.report({
+          node: path.node,
+          severity: nested ? 'high' : undefined,
+          message: `Reactive statement with ${nested ? 'nested iteration' : `a ${work[0].what}`} reruns whenever ` +
+            `${names.slice(0, -1).join(', ')}${names.length > 1 ? ' or ' : ''}${names[names.length - 1]} changes`,
+          suggestion: 'Keep the statement to the values the computation needs and do cheap filtering first; ' +
+            'for large data, derive it once in a store or move it to $derived (Svelte 5)',
+          impact: 'Update time',
+          dependencies
+        });
+      }
+    };
+  }
+};
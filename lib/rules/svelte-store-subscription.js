@@ -0,0 +1,18 @@
+const createLifecycleCleanup = require('./lifecycle-cleanup');
+
+module.exports = {
+  id: 'svelte-store-subscription',
+  meta: {
+    category: 'memory',
+    severity: 'medium',
+    description: 'Store subscriptions in Svelte components that are never unsubscribed'
+  },
+
+  create(context) {
+    return createLifecycleCleanup(context, {
+      framework: 'svelte',
+      cleanupIn: 'onDestroy',
+      kinds: ['store']
+    });
+  }
+};
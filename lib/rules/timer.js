@@ -0,0 +1,29 @@
+module.exports = {
+  id: 'timer',
+  meta: {
+    category: 'memory',
+    severity: 'medium',
+    description: 'Timers and animation frames that are never cleared'
+  },
+
+  create(context) {
+    const { analyzer, sfc } = context;
+
+    return {
+      CallExpression(path) {
+        if (analyzer.isTimer(path.node) && !analyzer.hasTimerCleanup(path) &&
+            // Vue and Svelte mount code is left to the lifecycle cleanup rules
+            !analyzer.runsOnComponentMount(path, sfc)) {
+          const { label } = analyzer.getTeardown(path);
+          context.report({
+            node: path.node,
+            message: 'Timer without cleanup',
+            suggestion: label ? `Store the timer ID and clear it in ${label}` : 'Store timer ID and clear in cleanup',
+            // Inside a React effect: return a cleanup function
+            fix: analyzer.getEffectCleanupFix(path, context.code)
+          });
+        }
+      }
+    };
+  }
+};
@@ -0,0 +1,145 @@
+const t = require('@babel/types');
+
+// ES module builds of CommonJS packages published under another name
+const ESM_VARIANTS = {
+  lodash: 'lodash-es'
+};
+
+const nameOf = node => (t.isStringLiteral(node) ? node.value : node.name);
+
+module.exports = {
+  id: 'tree-shaking',
+  meta: {
+    category: 'bundle',
+    severity: 'medium',
+    description: 'Imports that bundle a whole CommonJS package when per-method files or an ES module build exist'
+  },
+
+  create(context) {
+    const { analyzer, filePath, code } = context;
+
+    // Members read through a default or namespace binding (`_.debounce`);
+    // null when the binding is used any other way
+    const usedMembers = (path, local) => {
+      const binding = path.scope.getBinding(local);
+      if (!binding) return null;
+
+      const members = new Set();
+      for (const reference of binding.referencePaths) {
+        const { parent } = reference;
+        if (!t.isMemberExpression(parent) || parent.object !== reference.node || parent.computed) {
+          return null;
+        }
+        // `_.debounce = ...` patches the package object
+        const { parent: outer } = reference.parentPath;
+        if ((t.isAssignmentExpression(outer) && outer.left === parent) || t.isUpdateExpression(outer)) {
+          return null;
+        }
+        members.add(parent.property.name);
+      }
+      return [...members];
+    };
+
+    // Concrete imports that load only what is used. `members` maps each
+    // used export to its local name.
+    const hasMethodFiles = (name, members) => Boolean(members) &&
+      [...members.keys()].every(member => analyzer.resolvePackage(`${name}/${member}`, filePath));
+
+    const alternativesFor = (name, members) => {
+      const alternatives = [];
+      const used = members && [...members.keys()];
+
+      if (hasMethodFiles(name, members)) {
+        alternatives.push(used
+          .map(member => `import ${members.get(member)} from '${name}/${member}';`)
+          .join(' '));
+      }
+
+      const installed = analyzer.getPackageInfo(`${name}-es`, filePath);
+      const variant = ESM_VARIANTS[name] || (installed?.esm ? `${name}-es` : null);
+      if (variant) {
+        const names = used && used.map(member =>
+          (members.get(member) === member ? member : `${member} as ${members.get(member)}`));
+        alternatives.push(names
+          ? `import { ${names.join(', ')} } from '${variant}';`
+          : `Import only the functions you use from '${variant}'`);
+      }
+
+      return alternatives;
+    };
+
+    // Replaces the declaration with per-method imports and `_.debounce` with
+    // the member's local name (`debounce`, or the alias of `{ debounce as d }`);
+    // null when a local name would refer to another binding or a global
+    const methodImportsFix = (path, name, members, whole) => {
+      const { node } = path;
+      const references = whole ? path.scope.getBinding(whole.local.name).referencePaths : [];
+      const clashesAt = (scopePath, local) => {
+        const binding = scopePath.scope.getBinding(local);
+        return binding ? binding.path.parent !== node : scopePath.scope.getProgramParent().hasGlobal(local);
+      };
+      const clashes = [...members.values()].some(local => clashesAt(path, local)) ||
+        references.some(reference => clashesAt(reference, members.get(reference.parent.property.name)));
+      if (clashes) return null;
+
+      const quote = node.source.extra?.raw?.[0] || "'";
+      const semi = code.slice(node.start, node.end).trimEnd().endsWith(';') ? ';' : '';
+      const indent = analyzer.indentOf(code, node);
+      const imports = [...members]
+        .map(([member, local]) => `import ${local} from ${quote}${name}/${member}${quote}${semi}`)
+        .join(`\n${indent}`);
+
+      return fixer => [
+        fixer.replaceText(node, imports),
+        ...references.map(reference => fixer.replaceText(reference.parent, members.get(reference.parent.property.name)))
+      ];
+    };
+
+    return {
+      ImportDeclaration(path) {
+        const { node } = path;
+        if (node.importKind === 'type') return;
+
+        const source = node.source.value;
+        const info = analyzer.getPackageInfo(source, filePath);
+        // ES modules are tree-shaken; subpath imports already load one file
+        if (!info || info.esm || info.subpath) return;
+
+        const specifiers = node.specifiers.filter(s => s.importKind !== 'type');
+        const whole = specifiers.find(s => !t.isImportSpecifier(s));
+        if (specifiers.length === 0) return;
+
+        let members = new Map(specifiers
+          .filter(s => t.isImportSpecifier(s))
+          .map(s => [nameOf(s.imported), s.local.name]));
+        if (whole) {
+          const used = usedMembers(path, whole.local.name);
+          if (used) used.filter(member => !members.has(member)).forEach(member => members.set(member, member));
+          else members = null;
+        }
+        if (members && members.size === 0) return;
+
+        const alternatives = alternativesFor(info.name, members);
+        if (alternatives.length === 0) return;
+
+        const style = !whole ? 'named' : t.isImportNamespaceSpecifier(whole) ? 'namespace' : 'default';
+        const message = style === 'named'
+          ? `Named imports from CommonJS package ${source} can't be tree-shaken`
+          : `${style === 'default' ? 'Default' : 'Namespace'} import of CommonJS package ${source} bundles all of it`;
+
+        const fixable = specifiers.length === node.specifiers.length && hasMethodFiles(info.name, members);
+        context.report({
+          node,
+          message,
+          fix: fixable ? methodImportsFix(path, info.name, members, whole) : null,
+          suggestion: alternatives.join(' or '),
+          library: source,
+          importStyle: style,
+          members: members && [...members.keys()],
+          alternatives,
+          sideEffects: info.sideEffects
+        });
+      }
+    };
+  }
+};
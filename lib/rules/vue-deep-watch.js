@@ -0,0 +1,70 @@
+const t = require('@babel/types');
+
+module.exports = {
+  id: 'vue-deep-watch',
+  meta: {
+    category: 'vue',
+    severity: 'medium',
+    description: 'Watchers with `deep: true`, which traverse the whole watched object on every change'
+  },
+
+  create(context) {
+    const { analyzer, code, sfc } = context;
+    let isVue = false;
+    const text = node => code.slice(node.start, node.end);
+
+    // The `deep: true` property of an options object, or null
+    const deepOption = node => t.isObjectExpression(node)
+      ? node.properties.find(property => t.isObjectProperty(property) && !property.computed &&
+          t.isIdentifier(property.key, { name: 'deep' }) && t.isBooleanLiteral(property.value, { value: true })) || null
+      : null;
+
+    // Whether a getter clearly returns a primitive, where deep has no effect
+    const returnsPrimitive = source => {
+      if (!t.isArrowFunctionExpression(source) || t.isBlockStatement(source.body)) return false;
+      const { body } = source;
+      return t.isLiteral(body) || t.isBinaryExpression(body) || t.isUnaryExpression(body) ||
+        (t.isMemberExpression(body) && t.isIdentifier(body.property, { name: 'length' }));
+    };
+
+    const report = (option, watched) => {
+      context.report({
+        node: option,
+        message: `Deep watcher on ${watched} traverses every nested property of the value on each change`,
+        suggestion: 'Watch the specific properties the handler needs with a getter, ' +
+          'or limit the depth with `deep: <number>` (Vue 3.5+)',
+        impact: 'CPU time on every change, grows with the size of the object',
+        watched
+      });
+    };
+
+    return {
+      Program(path) {
+        isVue = analyzer.usesVue(path, sfc);
+      },
+
+      CallExpression(path) {
+        if (!isVue) return;
+        const name = analyzer.complexityAnalyzer.getExpressionName(path.node.callee) || '';
+        if (!['watch', '$watch'].includes(name.split('.').pop())) return;
+        const [source, , options] = path.node.arguments;
+        const option = deepOption(options);
+        if (!option || !source || returnsPrimitive(source)) return;
+        report(option, t.isStringLiteral(source) ? `"${source.value}"` : `\`${text(source)}\``);
+      },
+
+      // `watch: { items: { handler() {}, deep: true } }` in the Options API
+      ObjectProperty(path) {
+        const { node } = path;
+        if (!isVue || node.computed || !t.isIdentifier(node.key, { name: 'watch' }) ||
+            !t.isObjectExpression(node.value)) return;
+        node.value.properties.forEach(watcher => {
+          const option = t.isObjectProperty(watcher) && deepOption(watcher.value);
+          if (!option) return;
+          const key = t.isStringLiteral(watcher.key) ? watcher.key.value : text(watcher.key);
+          report(option, `"${key}"`);
+        });
+      }
+    };
+  }
+};
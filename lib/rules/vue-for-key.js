@@ -0,0 +1,102 @@
+const t = require('@babel/types');
+
+// Calls returning a different value on every render
+const RANDOM_CALLS = ['Math.random', 'Date.now', 'crypto.randomUUID', 'uuid', 'uuidv4', 'nanoid'];
+
+module.exports = {
+  id: 'vue-for-key',
+  meta: {
+    category: 'vue',
+    severity: 'medium',
+    description: '`v-for` lists rendered without a stable `:key`'
+  },
+
+  create(context) {
+    const { analyzer, sfc } = context;
+    const parser = analyzer.vueParser;
+    const keyOf = element => parser.getAttribute(element, ':key', 'v-bind:key', 'key');
+
+    // Whether the key of every item is set: on the element, or for a
+    // `<template v-for>` on the template or each of its elements
+    const findKeys = element => {
+      const key = keyOf(element);
+      if (key || element.tag !== 'template') return key ? [key] : null;
+      const children = element.children.filter(child => child.tag !== 'slot');
+      const keys = children.map(keyOf);
+      return children.length > 0 && keys.every(Boolean) ? keys : null;
+    };
+
+    // Identifier names a key expression uses, and the random calls it makes
+    const inspect = attribute => {
+      const names = new Set();
+      const calls = [];
+      // `key="id"` is a plain string, the same for every item
+      const expression = attribute.name === 'key' ? null : parser.parseExpression(attribute.value || '');
+      if (expression) {
+        t.traverseFast(expression, node => {
+          if (t.isIdentifier(node)) names.add(node.name);
+          if (t.isCallExpression(node)) {
+            const name = analyzer.complexityAnalyzer.getExpressionName(node.callee);
+            if (RANDOM_CALLS.includes(name)) calls.push(name);
+          }
+        });
+      }
+      return { names, calls };
+    };
+
+    const report = (node, severity, message, suggestion, element) => {
+      context.report({
+        node,
+        severity,
+        message,
+        suggestion,
+        impact: 'List re-renders, lost item state',
+        element
+      });
+    };
+
+    return {
+      Program() {
+        if (!sfc?.template) return;
+
+        sfc.template.elements.forEach(element => {
+          const directive = parser.getAttribute(element, 'v-for');
+          const loop = directive && parser.parseFor(directive);
+          if (!loop) return;
+          const tag = `<${element.tag}>`;
+          const list = `v-for over ${loop.source}`;
+
+          const keys = findKeys(element);
+          if (!keys) {
+            report(element, undefined, `${tag} items of ${list} have no :key`,
+              'Bind :key to a stable, unique ID from the item so Vue can match items between renders', element.tag);
+            return;
+          }
+
+          // `(item, index)`; a destructured item such as `({ id }, index)`
+          // binds several names
+          const last = loop.aliases[loop.aliases.length - 1];
+          const index = loop.aliases.length > 1 && /^[A-Za-z_$][\w$]*$/.test(last) ? last : null;
+          const itemAliases = index ? loop.aliases.slice(0, -1) : loop.aliases;
+          const itemNames = itemAliases.join(',').match(/[A-Za-z_$][\w$]*/g) || [];
+          keys.forEach(key => {
+            const { names, calls } = inspect(key);
+            if (key.name === 'key') {
+              report(key, undefined, `${tag} items of ${list} all have the same static key "${key.value}"`,
+                'Bind :key to a unique ID from the item so it differs per item', element.tag);
+            } else if (calls.length > 0) {
+              report(key, 'high',
+                `${tag} items of ${list} use ${calls[0]}() as key, so every item remounts on every render`,
+                'Use a stable, unique ID from the item; generate IDs when the data is created, not while rendering',
+                element.tag);
+            } else if (index && names.has(index) && !itemNames.some(name => names.has(name))) {
+              report(key, 'low', `${tag} items of ${list} use the index \`${index}\` as key`,
+                'Use a stable ID from the item; index keys mix up item state and DOM when items are inserted, ' +
+                'removed or reordered', element.tag);
+            }
+          });
+        });
+      }
+    };
+  }
+};
@@ -0,0 +1,55 @@
+const t = require('@babel/types');
+
+module.exports = {
+  id: 'vue-if-with-for',
+  meta: {
+    category: 'vue',
+    severity: 'medium',
+    description: '`v-if` on the same element as `v-for`'
+  },
+
+  create(context) {
+    const { analyzer, sfc } = context;
+    const parser = analyzer.vueParser;
+
+    return {
+      Program() {
+        if (!sfc?.template) return;
+
+        sfc.template.elements.forEach(element => {
+          const directive = parser.getAttribute(element, 'v-for');
+          const condition = parser.getAttribute(element, 'v-if', 'v-else-if');
+          if (!directive || !condition) return;
+          const loop = parser.parseFor(directive);
+          const aliases = (loop?.aliases.join(',').match(/[A-Za-z_$][\w$]*/g)) || [];
+          // A condition on the item filters the list (Vue 2 evaluates v-for
+          // first, Vue 3 v-if); otherwise it belongs on a wrapper
+          const expression = parser.parseExpression(condition.value || '');
+          const names = new Set();
+          const properties = new Set();
+          if (expression) {
+            t.traverseFast(expression, node => {
+              if (t.isMemberExpression(node) && !node.computed) properties.add(node.property);
+              if (t.isIdentifier(node) && !properties.has(node)) names.add(node.name);
+            });
+          }
+          const filters = aliases.some(alias => names.has(alias));
+
+          context.report({
+            node: condition,
+            message: filters
+              ? `<${element.tag}> filters the items of v-for="${directive.value}" with ${condition.name}, ` +
+                'which runs for every item on every render in Vue 2 and can\'t see the item in Vue 3'
+              : `<${element.tag}> combines ${condition.name} with v-for="${directive.value}", ` +
+                'and the two take precedence in opposite order in Vue 2 and Vue 3',
+            suggestion: filters
+              ? 'Filter the list in a computed property and loop over that'
+              : 'Move the condition to a wrapping <template v-if>',
+            impact: 'Wasted render work, version-dependent behaviour',
+            element: element.tag
+          });
+        });
+      }
+    };
+  }
+};
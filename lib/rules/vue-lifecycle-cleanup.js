@@ -0,0 +1,18 @@
+const createLifecycleCleanup = require('./lifecycle-cleanup');
+
+module.exports = {
+  id: 'vue-lifecycle-cleanup',
+  meta: {
+    category: 'memory',
+    severity: 'medium',
+    description: 'Listeners and timers added while a Vue component mounts and never removed when it unmounts'
+  },
+
+  create(context) {
+    return createLifecycleCleanup(context, {
+      framework: 'vue',
+      cleanupIn: 'onUnmounted (unmounted in the Options API)',
+      kinds: ['listener', 'timer']
+    });
+  }
+};
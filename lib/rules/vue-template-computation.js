@@ -0,0 +1,71 @@
+const t = require('@babel/types');
+const { EXPENSIVE_METHODS, ITERATING_METHODS, EXPENSIVE_CALLS, iteratesAgain } = require('./expensive-work');
+
+// Directives whose value is a handler or binding target, not rendered output
+const HANDLER_ATTRIBUTE = /^(@|v-on|#|v-slot|v-model)/;
+
+module.exports = {
+  id: 'vue-template-computation',
+  meta: {
+    category: 'vue',
+    severity: 'medium',
+    description: 'Sorting, filtering and serialization in template expressions, which run on every render'
+  },
+
+  create(context) {
+    const { analyzer, sfc } = context;
+    const parser = analyzer.vueParser;
+    const nameOf = node => analyzer.complexityAnalyzer.getExpressionName(node) || '';
+
+    // The outermost expensive call of an expression, e.g. `items.filter()`
+    const findCall = expression => {
+      let found = null;
+      t.traverseFast(expression, node => {
+        if (found || !t.isCallExpression(node) && !t.isOptionalCallExpression(node)) return;
+        const { callee } = node;
+        const name = nameOf(callee);
+        if (EXPENSIVE_CALLS.includes(name)) {
+          found = `${name}()`;
+          return;
+        }
+        if (!t.isMemberExpression(callee) && !t.isOptionalMemberExpression(callee) || callee.computed) return;
+        const method = callee.property.name;
+        if (EXPENSIVE_METHODS.includes(method) ||
+            (ITERATING_METHODS.includes(method) && iteratesAgain(node.arguments[0]))) {
+          found = t.isCallExpression(callee.object) || !name ? `.${method}()` : `${name}()`;
+        }
+      });
+      return found;
+    };
+
+    return {
+      Program() {
+        if (!sfc?.template) return;
+
+        sfc.template.expressions.forEach(({ code, start, loc, kind, element, attribute }) => {
+          if (kind === 'attribute' && HANDLER_ATTRIBUTE.test(attribute.name)) return;
+          let source = code;
+          if (attribute?.name === 'v-for') {
+            const loop = parser.parseFor(attribute);
+            if (!loop) return;
+            source = loop.source;
+          }
+          const expression = parser.parseExpression(source);
+          const call = expression && findCall(expression);
+          if (!call) return;
+
+          const where = kind === 'interpolation'
+            ? `{{ }} in <${element.tag || 'template'}>`
+            : `${attribute.name} on <${element.tag}>`;
+          context.report({
+            node: { start, loc },
+            message: `${call} in ${where} runs on every render of the component`,
+            suggestion: 'Move the computation into a computed property, which is cached until its dependencies change',
+            impact: 'Render time',
+            expression: source.trim()
+          });
+        });
+      }
+    };
+  }
+};